@@ -0,0 +1,109 @@
+/* Remote test configuration
+   GET /api/config?shop=example.myshopify.com
+     Public, like the theme config it replaces. Responds with
+     { shop, version, updated_at, config } and an ETag; If-None-Match gets a
+     304. Cacheable for a minute and served stale for up to an hour while
+     revalidating, by the CDN and by ABTestManager's localStorage cache.
+   PUT /api/config with the config document as the body
+     Takes the shop's admin key (Authorization: Bearer + x-shop-id); the API
+     key in the theme is public and can't change what every visitor runs.
+     Saves a new version; If-Match: "v<version>" makes it fail with 412 if
+     someone saved in between. Not open to the storefront origin (CORS).
+     The document is described in lib/config.js. */
+
+const { getPool } = require('../lib/db');
+const { getAdminCredentials, authenticateAdmin, normalizeShop } = require('../lib/auth');
+const { validateConfigDocument, getLatestConfig, saveConfig, etagFor } = require('../lib/config');
+const { HttpError, readJsonBody, sendJson, sendError } = require('../lib/http');
+
+const MAX_BODY_BYTES = 128 * 1024;
+const CACHE_CONTROL = 'public, max-age=60, stale-while-revalidate=3600';
+
+const etagMatches = (header, etag) => String(header || '')
+  .split(',')
+  .map(t => t.trim().replace(/^W\//, ''))
+  .some(t => t === etag || t === '*');
+
+async function getConfig(req, res, pool) {
+  const query = new URL(req.url, 'http://localhost').searchParams;
+  const shop = normalizeShop(query.get('shop'));
+  if (!shop) {
+    throw new HttpError(400, 'shop is required');
+  }
+  const doc = await getLatestConfig(pool, shop);
+  if (!doc) {
+    throw new HttpError(404, 'No config for this shop');
+  }
+
+  const etag = etagFor(doc.version);
+  res.setHeader('ETag', etag);
+  res.setHeader('Cache-Control', CACHE_CONTROL);
+  if (etagMatches(req.headers['if-none-match'], etag)) {
+    res.statusCode = 304;
+    res.end();
+    return;
+  }
+  sendJson(res, 200, doc);
+}
+
+async function putConfig(req, res, pool) {
+  const { shop, adminKey } = getAdminCredentials(req);
+  const shopRow = await authenticateAdmin(pool, shop, adminKey);
+  if (!shopRow) {
+    throw new HttpError(401, 'Invalid admin key or shop');
+  }
+
+  let expectedVersion = null;
+  const ifMatch = req.headers['if-match'];
+  if (ifMatch) {
+    const match = String(ifMatch).trim().match(/^(?:W\/)?"v(\d+)"$/);
+    if (!match) {
+      throw new HttpError(400, 'If-Match must be an ETag from GET /api/config');
+    }
+    expectedVersion = Number(match[1]);
+  }
+
+  const body = await readJsonBody(req, MAX_BODY_BYTES);
+  const { config, errors } = validateConfigDocument(body);
+  if (errors.length > 0) {
+    throw new HttpError(400, 'Invalid config', errors);
+  }
+
+  let doc;
+  try {
+    doc = await saveConfig(shopRow.shop_domain, config, { expectedVersion });
+  } catch (err) {
+    // Two saves picked the same next version
+    if (err.code === '23505') {
+      throw new HttpError(409, 'Config was saved concurrently, retry');
+    }
+    throw err;
+  }
+  if (!doc) {
+    throw new HttpError(412, 'Config has changed since it was read');
+  }
+  sendJson(res, 201, doc, { ETag: etagFor(doc.version) });
+}
+
+module.exports = async (req, res) => {
+  if (req.method === 'OPTIONS') {
+    res.statusCode = 204;
+    res.end();
+    return;
+  }
+  if (req.method !== 'GET' && req.method !== 'PUT') {
+    sendJson(res, 405, { error: 'Method not allowed' }, { Allow: 'GET, PUT, OPTIONS' });
+    return;
+  }
+
+  try {
+    const pool = await getPool();
+    if (req.method === 'GET') {
+      await getConfig(req, res, pool);
+    } else {
+      await putConfig(req, res, pool);
+    }
+  } catch (err) {
+    sendError(res, err);
+  }
+};
@@ -0,0 +1,52 @@
+/* Event collector
+   POST /api/events with the JSON array PostgresReporter.sendEvents produces.
+   Auth per shop: X-API-Key + x-shop-id headers, or ?api_key=&shop= for beacons.
+   The batch id comes from X-Batch-Id (or ?batch_id=). Responds with
+   { received, inserted, duplicates }; a repeated event_id is not stored twice. */
+
+const { getPool } = require('../lib/db');
+const { getCredentials, authenticateShop } = require('../lib/auth');
+const { validateBatch } = require('../lib/validate');
+const { insertEvents } = require('../lib/events');
+const { HttpError, readJsonBody, sendJson, sendError } = require('../lib/http');
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+module.exports = async (req, res) => {
+  if (req.method === 'OPTIONS') {
+    res.statusCode = 204;
+    res.end();
+    return;
+  }
+  if (req.method !== 'POST') {
+    sendJson(res, 405, { error: 'Method not allowed' }, { Allow: 'POST, OPTIONS' });
+    return;
+  }
+
+  try {
+    const pool = await getPool();
+    const { shop, apiKey } = getCredentials(req);
+    const shopRow = await authenticateShop(pool, shop, apiKey);
+    if (!shopRow) {
+      throw new HttpError(401, 'Invalid API key or shop');
+    }
+
+    const body = await readJsonBody(req, MAX_BODY_BYTES);
+    const { events, errors } = validateBatch(body);
+    if (errors.length > 0) {
+      throw new HttpError(400, 'Invalid events', errors);
+    }
+
+    const query = new URL(req.url, 'http://localhost').searchParams;
+    const batchId = String(req.headers['x-batch-id'] || query.get('batch_id') || '').slice(0, 100) || null;
+    const inserted = await insertEvents(shopRow.shop_domain, batchId, events);
+
+    sendJson(res, 200, {
+      received: events.length,
+      inserted,
+      duplicates: events.length - inserted
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
@@ -0,0 +1,83 @@
+/* Data quality alerts
+   GET|POST /api/quality-check
+   Runs lib/quality.js for every test with events in the last 7 days and
+   posts any alerts to ALERT_WEBHOOK_URL (Slack-style { text } plus the
+   alerts array). Called daily by the Vercel cron with
+   Authorization: Bearer $CRON_SECRET, which checks all shops; a shop's admin
+   key (Authorization: Bearer + x-shop-id) checks just that shop. */
+
+const { getPool } = require('../lib/db');
+const { getAdminCredentials, authenticateAdmin, isCronRequest } = require('../lib/auth');
+const { checkTestQuality, listActiveTests } = require('../lib/quality');
+const { HttpError, sendJson, sendError } = require('../lib/http');
+
+async function notify(alerts) {
+  const url = process.env.ALERT_WEBHOOK_URL;
+  if (!url || alerts.length === 0) {
+    return false;
+  }
+  const text = [`A/B testing data quality: ${alerts.length} alert(s)`]
+    .concat(alerts.map(a => `• [${a.shop}] ${a.message}`))
+    .join('\n');
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ text, alerts })
+  });
+  if (!response.ok) {
+    throw new Error(`Alert webhook failed: HTTP ${response.status}`);
+  }
+  return true;
+}
+
+module.exports = async (req, res) => {
+  if (req.method === 'OPTIONS') {
+    res.statusCode = 204;
+    res.end();
+    return;
+  }
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    sendJson(res, 405, { error: 'Method not allowed' }, { Allow: 'GET, POST, OPTIONS' });
+    return;
+  }
+
+  try {
+    const pool = await getPool();
+    let shop = null;
+    if (!isCronRequest(req)) {
+      const credentials = getAdminCredentials(req);
+      const shopRow = await authenticateAdmin(pool, credentials.shop, credentials.adminKey);
+      if (!shopRow) {
+        throw new HttpError(401, 'Invalid admin key or shop');
+      }
+      shop = shopRow.shop_domain;
+    }
+
+    const now = new Date();
+    const tests = await listActiveTests(pool, { shop, now });
+    const results = [];
+    for (const test of tests) {
+      const quality = await checkTestQuality(pool, { shop: test.shop, testId: test.testId, now });
+      results.push({ shop: test.shop, test_id: test.testId, ...quality });
+    }
+    const alerts = results.flatMap(r => r.alerts.map(a => ({ shop: r.shop, ...a })));
+
+    let notified = false;
+    try {
+      notified = await notify(alerts);
+    } catch (err) {
+      // The checks still count; the response says the webhook didn't go out
+      console.error(err.message);
+    }
+
+    sendJson(res, 200, {
+      checked_at: now.toISOString(),
+      tests: results.length,
+      alerts,
+      notified,
+      results
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
@@ -0,0 +1,64 @@
+/* Test results
+   GET /api/results?test_id=hero-banner[&goal=checkout_completed][&from=ISO][&to=ISO][&confidence=0.95]
+   Takes the shop's admin key (Authorization: Bearer + x-shop-id), not the
+   public API key the storefront sends events with. Returns users and
+   sessions per assigned/tested variant and, per goal, conversion rate, revenue
+   per visitor and average order value with lift, intervals, p-values and
+   probability to beat control, plus the data quality checks (lib/quality.js). */
+
+const { getPool } = require('../lib/db');
+const { getAdminCredentials, authenticateAdmin } = require('../lib/auth');
+const { getTestResults } = require('../lib/results');
+const { HttpError, sendJson, sendError } = require('../lib/http');
+
+const parseDate = (value, name) => {
+  if (!value) return null;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new HttpError(400, `${name} must be an ISO date`);
+  }
+  return new Date(time).toISOString();
+};
+
+module.exports = async (req, res) => {
+  if (req.method === 'OPTIONS') {
+    res.statusCode = 204;
+    res.end();
+    return;
+  }
+  if (req.method !== 'GET') {
+    sendJson(res, 405, { error: 'Method not allowed' }, { Allow: 'GET, OPTIONS' });
+    return;
+  }
+
+  try {
+    const pool = await getPool();
+    const { shop, adminKey } = getAdminCredentials(req);
+    const shopRow = await authenticateAdmin(pool, shop, adminKey);
+    if (!shopRow) {
+      throw new HttpError(401, 'Invalid admin key or shop');
+    }
+
+    const query = new URL(req.url, 'http://localhost').searchParams;
+    const testId = query.get('test_id');
+    if (!testId) {
+      throw new HttpError(400, 'test_id is required');
+    }
+    const confidence = query.has('confidence') ? Number(query.get('confidence')) : 0.95;
+    if (!(confidence > 0.5 && confidence < 1)) {
+      throw new HttpError(400, 'confidence must be between 0.5 and 1');
+    }
+
+    const results = await getTestResults(pool, {
+      shop: shopRow.shop_domain,
+      testId,
+      goal: query.get('goal') || null,
+      from: parseDate(query.get('from'), 'from'),
+      to: parseDate(query.get('to'), 'to'),
+      confidence
+    });
+    sendJson(res, 200, results, { 'Cache-Control': 'private, max-age=60' });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
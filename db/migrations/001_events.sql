@@ -0,0 +1,55 @@
+-- Shops allowed to send events, with the SHA-256 hash of their API key
+CREATE TABLE shops (
+  shop_domain TEXT PRIMARY KEY,
+  api_key_hash TEXT NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- One row per event from PostgresReporter.createEventPayload (or the checkout
+-- pixel). event_id is generated by the client, so resends are ignored; it is
+-- only unique within a shop, so events are keyed per shop.
+CREATE TABLE events (
+  event_id TEXT NOT NULL,
+  shop_domain TEXT NOT NULL REFERENCES shops (shop_domain),
+  batch_id TEXT,
+  schema_version INTEGER NOT NULL DEFAULT 0,
+  event_name TEXT NOT NULL,
+  event_type TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  session_id TEXT NOT NULL,
+  client_timestamp TIMESTAMPTZ NOT NULL,
+  timezone_offset INTEGER,
+  received_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  path TEXT,
+  template TEXT,
+  device_class TEXT,
+  test_id TEXT,
+  goal_name TEXT,
+  value NUMERIC(14, 2),
+  currency TEXT,
+  assignment_count INTEGER NOT NULL DEFAULT 0,
+  event_data JSONB NOT NULL,
+  PRIMARY KEY (shop_domain, event_id)
+);
+
+CREATE INDEX events_shop_time_idx ON events (shop_domain, client_timestamp);
+CREATE INDEX events_shop_name_idx ON events (shop_domain, event_name);
+CREATE INDEX events_user_idx ON events (shop_domain, user_id);
+
+-- event_data.test_assignments, one row per test the visitor was in when the
+-- event happened; this is what results are grouped by.
+CREATE TABLE event_test_assignments (
+  shop_domain TEXT NOT NULL,
+  event_id TEXT NOT NULL,
+  test_id TEXT NOT NULL,
+  assigned_variant TEXT NOT NULL,
+  tested_variant TEXT,
+  assignment_mode TEXT,
+  page_group TEXT,
+  layer TEXT,
+  PRIMARY KEY (shop_domain, event_id, test_id),
+  FOREIGN KEY (shop_domain, event_id) REFERENCES events (shop_domain, event_id) ON DELETE CASCADE
+);
+
+CREATE INDEX event_test_assignments_test_idx ON event_test_assignments (test_id, assigned_variant);
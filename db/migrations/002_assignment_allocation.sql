@@ -0,0 +1,4 @@
+-- Expected share of users per variant ({"0": 0.5, "1": 0.5}) under which the
+-- visitor was bucketed, reported by the client with each assignment. Used
+-- for the sample ratio mismatch check; NULL for forced tests and older events.
+ALTER TABLE event_test_assignments ADD COLUMN allocation JSONB;
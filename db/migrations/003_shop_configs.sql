@@ -0,0 +1,13 @@
+-- Remote test configuration (GET/PUT /api/config). Every save is a new
+-- version; the highest version is the live one, older ones are kept as history.
+CREATE TABLE shop_configs (
+  shop_domain TEXT NOT NULL REFERENCES shops (shop_domain),
+  version INTEGER NOT NULL,
+  config JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (shop_domain, version)
+);
+
+-- Config version the storefront was running when the event happened
+-- (event_data.config_version); NULL for the theme's own config.
+ALTER TABLE events ADD COLUMN config_version INTEGER;
@@ -0,0 +1,4 @@
+-- SHA-256 of the shop's admin key, needed to read results and change the
+-- remote config. The API key ships in the theme, so it only sends events.
+-- NULL until one is set with npm run add-shop.
+ALTER TABLE shops ADD COLUMN admin_key_hash TEXT;
@@ -0,0 +1,152 @@
+/* Checkout Web Pixel
+   Web pixel app extension (extensions/ab-testing-checkout-pixel, built with the Shopify CLI;
+   this file is its entry point).
+   Checkout pages can't run our storefront scripts, so this reads the assignments that
+   AssignmentManager.persist() writes to pg_active_tests and reports checkout events
+   in the same payload shape as PostgresReporter.createEventPayload.
+   The events endpoint and the shop's API key come from the extension settings
+   (apiEndpoint, apiKey), set when the pixel is activated with webPixelCreate. */
+
+import { register } from '@shopify/web-pixels-extension';
+
+const STORAGE_KEYS = {
+  activeTests: 'pg_active_tests',
+  userId: 'pg_user_id',
+  sessionId: 'pg_session_id'
+};
+
+const CHECKOUT_EVENTS = ['checkout_started', 'payment_info_submitted', 'checkout_completed'];
+
+register(({ analytics, browser, init, settings }) => {
+  const API_ENDPOINT = settings.apiEndpoint;
+  const API_KEY = settings.apiKey;
+  if (!API_ENDPOINT || !API_KEY) {
+    // Nothing can be reported without both; make the misconfiguration obvious
+    throw new Error('AB testing checkout pixel: apiEndpoint and apiKey settings are required');
+  }
+
+  // Storage in the sandbox is async; fall back to the cookies TrackingCore also writes.
+  const readStored = async (key) => {
+    try {
+      const value = await browser.localStorage.getItem(key);
+      if (value && value !== 'undefined') {
+        return value;
+      }
+      return (await browser.cookie.get(key)) || null;
+    } catch (err) {
+      console.error(`Failed to read ${key}:`, err);
+      return null;
+    }
+  };
+
+  // pg_active_tests holds TestAssignment.toPixelFormat() entries keyed by test ID.
+  const readTestAssignments = async () => {
+    try {
+      const stored = JSON.parse((await readStored(STORAGE_KEYS.activeTests)) || '{}');
+      const test_assignments = {};
+      Object.entries(stored).forEach(([testId, a]) => {
+        test_assignments[testId] = {
+          assigned_variant: a.assigned_variant,
+          tested_variant: a.tested_variant ?? null,
+          type: a.type,
+          mode: a.mode,
+          group: a.group,
+          layer: a.layer || null,
+          weights: a.weights || null,
+          allocation: a.allocation || null
+        };
+      });
+      return test_assignments;
+    } catch (err) {
+      console.error('Failed to read active tests:', err);
+      return {};
+    }
+  };
+
+  const toLineItem = (item) => ({
+    product_id: item.variant?.product?.id || null,
+    variant_id: item.variant?.id || null,
+    sku: item.variant?.sku || null,
+    title: item.title || null,
+    quantity: item.quantity || 1,
+    price: item.variant?.price?.amount ?? null
+  });
+
+  const checkoutDetails = (checkout = {}) => ({
+    checkout_token: checkout.token || null,
+    order_id: checkout.order?.id || null,
+    value: checkout.totalPrice?.amount ?? null,
+    subtotal: checkout.subtotalPrice?.amount ?? null,
+    currency: checkout.totalPrice?.currencyCode || checkout.currencyCode || null,
+    quantity: (checkout.lineItems || []).reduce((sum, li) => sum + (li.quantity || 0), 0),
+    line_items: (checkout.lineItems || []).map(toLineItem)
+  });
+
+  const createEventPayload = async (eventName, event) => {
+    const [userId, sessionId, test_assignments] = await Promise.all([
+      readStored(STORAGE_KEYS.userId),
+      readStored(STORAGE_KEYS.sessionId),
+      readTestAssignments()
+    ]);
+    if (!userId || !sessionId) {
+      return null;
+    }
+
+    const location = event.context?.document?.location || init.context?.document?.location || {};
+    return {
+      type: 'conversion',
+      data: {
+        // Shopify's event id, so a redelivered pixel event is stored once
+        event_id: event.id || crypto.randomUUID(),
+        schema_version: 1,
+        session_id: sessionId,
+        user_id: userId,
+        event_name: eventName,
+        event_type: 'conversion',
+        client_timestamp: event.timestamp || new Date().toISOString(),
+        timezone_offset: new Date().getTimezoneOffset(),
+        event_data: {
+          goal: eventName,
+          shop_domain: init.data?.shop?.myshopifyDomain || null,
+          source: 'web_pixel',
+          ...checkoutDetails(event.data?.checkout),
+          test_assignments,
+          path: (location.pathname || '/').replace(/\/$/, '') || '/',
+          template: 'checkout'
+        }
+      }
+    };
+  };
+
+  const sendEvent = async (payload) => {
+    const resp = await fetch(API_ENDPOINT, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-API-Key': API_KEY,
+        'x-shop-id': init.data?.shop?.myshopifyDomain || '',
+        'X-Batch-Id': crypto.randomUUID()
+      },
+      mode: 'cors',
+      credentials: 'omit',
+      keepalive: true,
+      body: JSON.stringify([payload])
+    });
+    if (!resp.ok) {
+      throw new Error(`HTTP error: ${resp.status}`);
+    }
+  };
+
+  CHECKOUT_EVENTS.forEach(eventName => {
+    analytics.subscribe(eventName, async (event) => {
+      try {
+        const payload = await createEventPayload(eventName, event);
+        if (payload) {
+          await sendEvent(payload);
+        }
+      } catch (err) {
+        console.error(`Failed to report ${eventName}:`, err);
+      }
+    });
+  });
+});
\ No newline at end of file
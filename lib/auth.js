@@ -0,0 +1,97 @@
+/* Shop authentication
+   Each shop has its own API key; only its SHA-256 hash is stored. Keys come
+   in the X-API-Key / x-shop-id headers, or as ?api_key=&shop= for sendBeacon,
+   which can't set headers.
+   The API key is public (it ships in the theme) and only sends events.
+   Reading results and changing the remote config take the shop's admin key,
+   sent as Authorization: Bearer <key> with x-shop-id. */
+
+const crypto = require('crypto');
+
+const hashApiKey = (apiKey) => crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+
+const generateApiKey = () => crypto.randomBytes(24).toString('base64url');
+
+const normalizeShop = (shop) => String(shop || '').trim().toLowerCase();
+
+function getCredentials(req) {
+  const query = new URL(req.url, 'http://localhost').searchParams;
+  return {
+    shop: normalizeShop(req.headers['x-shop-id'] || query.get('shop')),
+    apiKey: req.headers['x-api-key'] || query.get('api_key') || ''
+  };
+}
+
+function getAdminCredentials(req) {
+  const query = new URL(req.url, 'http://localhost').searchParams;
+  const match = String(req.headers.authorization || '').match(/^Bearer (.+)$/);
+  return {
+    shop: normalizeShop(req.headers['x-shop-id'] || query.get('shop')),
+    adminKey: match ? match[1] : ''
+  };
+}
+
+// Resolves to the shop row, or null when the shop is unknown, inactive or
+// the key doesn't match the hash in column (api_key_hash or admin_key_hash).
+async function matchShopKey(db, shop, key, column) {
+  if (!shop || !key) {
+    return null;
+  }
+  const { rows } = await db.query(
+    `SELECT shop_domain, ${column} AS key_hash FROM shops WHERE shop_domain = $1 AND active = TRUE`,
+    [normalizeShop(shop)]
+  );
+  const row = rows[0];
+  const given = Buffer.from(hashApiKey(key), 'hex');
+  // Compare against something even for unknown shops, to keep timing flat
+  const expected = Buffer.from(row?.key_hash || hashApiKey(''), 'hex');
+  if (given.length !== expected.length) {
+    return null;
+  }
+  return crypto.timingSafeEqual(given, expected) && row?.key_hash ? { shop_domain: row.shop_domain } : null;
+}
+
+async function authenticateShop(db, shop, apiKey) {
+  return matchShopKey(db, shop, apiKey, 'api_key_hash');
+}
+
+async function authenticateAdmin(db, shop, adminKey) {
+  return matchShopKey(db, shop, adminKey, 'admin_key_hash');
+}
+
+// Vercel cron sends Authorization: Bearer $CRON_SECRET
+function isCronRequest(req) {
+  const secret = process.env.CRON_SECRET;
+  const match = String(req.headers.authorization || '').match(/^Bearer (.+)$/);
+  if (!secret || !match) {
+    return false;
+  }
+  return crypto.timingSafeEqual(
+    Buffer.from(hashApiKey(match[1]), 'hex'),
+    Buffer.from(hashApiKey(secret), 'hex')
+  );
+}
+
+// Without adminKey, a shop's existing admin key is kept.
+async function upsertShop(db, shop, apiKey, adminKey = null) {
+  await db.query(
+    `INSERT INTO shops (shop_domain, api_key_hash, admin_key_hash) VALUES ($1, $2, $3)
+     ON CONFLICT (shop_domain) DO UPDATE SET
+       api_key_hash = EXCLUDED.api_key_hash,
+       admin_key_hash = COALESCE(EXCLUDED.admin_key_hash, shops.admin_key_hash),
+       active = TRUE`,
+    [normalizeShop(shop), hashApiKey(apiKey), adminKey ? hashApiKey(adminKey) : null]
+  );
+}
+
+module.exports = {
+  hashApiKey,
+  generateApiKey,
+  normalizeShop,
+  getCredentials,
+  getAdminCredentials,
+  authenticateShop,
+  authenticateAdmin,
+  isCronRequest,
+  upsertShop
+};
@@ -0,0 +1,148 @@
+/* Remote test configuration
+   The document served by /api/config replaces the test definitions of the
+   Liquid config (window.abTestingConfig); everything else (enabled, apiKey,
+   endpoints, consent, cart) stays in the theme:
+     {
+       tests: [{ id, mode, location, page_specific_url, variantsCount, weights,
+                 device, audience, layer, type, variants, start_at, end_at }],
+       traffic: { global: 0-100, homepage, product, collection, cart, checkout, page_specific },
+       salt: 'hw-abt'
+     }
+   Tests, traffic and salt are checked against public/config-schema.js, the
+   same schema the storefront enforces. Variant changes that could run script
+   are refused (html, attributes outside an allowlist, URLs that aren't
+   http(s) or relative): the remote config is data, unlike the theme.
+   Each save is stored as a new version. */
+
+const { withTransaction } = require('./db');
+const { validateConfig } = require('../public/config-schema');
+
+const MAX_CONFIG_BYTES = 64 * 1024;
+const CONFIG_FIELDS = ['tests', 'traffic', 'salt'];
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// Attributes a remote change may set; anything else (event handlers,
+// srcdoc, formaction, ...) could run script.
+const SAFE_ATTRIBUTES = [
+  'class', 'id', 'style', 'title', 'alt', 'lang', 'dir', 'hidden', 'placeholder',
+  'href', 'src', 'srcset', 'sizes', 'width', 'height', 'loading', 'target', 'rel'
+];
+const URL_ATTRIBUTES = ['href', 'src', 'srcset'];
+
+const isSafeAttribute = (name) => SAFE_ATTRIBUTES.includes(name) || /^(data|aria)-[a-z0-9_.-]+$/.test(name);
+
+// http(s) or relative. Browsers ignore whitespace and control characters in
+// the scheme ("java\tscript:"), so they are stripped before looking at it.
+const isSafeUrl = (value) => {
+  const url = String(value).replace(/[\u0000-\u0020\u007f-\u009f]/g, '');
+  const scheme = url.match(/^([^/?#]*?):/);
+  return !scheme || ['http', 'https'].includes(scheme[1].toLowerCase());
+};
+
+// srcset is a comma-separated list of "url [descriptor]"
+const isSafeUrlValue = (attribute, value) => (attribute === 'srcset'
+  ? String(value).split(',').every(candidate => isSafeUrl(candidate.trim().split(/\s+/)[0] || ''))
+  : isSafeUrl(value));
+
+// { path, message } for each change public/variant-changes.js could turn into script.
+function unsafeChangeErrors(tests) {
+  const errors = [];
+  (Array.isArray(tests) ? tests : []).forEach((test, i) => {
+    Object.entries(isObject(test?.variants) ? test.variants : {}).forEach(([key, variant]) => {
+      (Array.isArray(variant?.changes) ? variant.changes : []).forEach((change, j) => {
+        const path = `tests[${i}].variants.${key}.changes[${j}]`;
+        if (!isObject(change)) return;
+        const hasValue = change.value !== undefined && change.value !== null;
+        if (change.action === 'html') {
+          errors.push({ path: `${path}.action`, message: 'html is not allowed in the remote config; use text or attribute' });
+        } else if (change.action === 'attribute') {
+          const attribute = String(change.attribute || change.name || '').trim().toLowerCase();
+          if (!isSafeAttribute(attribute)) {
+            errors.push({ path: `${path}.attribute`, message: `must be one of ${SAFE_ATTRIBUTES.join(', ')}, data-* or aria-*` });
+          } else if (URL_ATTRIBUTES.includes(attribute) && hasValue && !isSafeUrlValue(attribute, change.value)) {
+            errors.push({ path: `${path}.value`, message: 'must be an http(s) or relative URL' });
+          }
+        } else if (change.action === 'image' && hasValue && !isSafeUrlValue('srcset', change.value)) {
+          // Set as both src and srcset
+          errors.push({ path: `${path}.value`, message: 'must be an http(s) or relative URL' });
+        }
+      });
+    });
+  });
+  return errors;
+}
+
+// Returns { config, errors }. Unlike the storefront, which drops what is
+// invalid, a save is rejected on any problem; errors are { path, message }.
+function validateConfigDocument(doc) {
+  if (!isObject(doc)) {
+    return { config: null, errors: [{ path: 'config', message: 'must be an object' }] };
+  }
+  const errors = Object.keys(doc)
+    .filter(k => !CONFIG_FIELDS.includes(k))
+    .map(k => ({ path: k, message: `is not a remote config field (${CONFIG_FIELDS.join(', ')})` }));
+  if (!Array.isArray(doc.tests)) {
+    errors.push({ path: 'tests', message: 'must be an array' });
+  }
+  if (Buffer.byteLength(JSON.stringify(doc)) > MAX_CONFIG_BYTES) {
+    errors.push({ path: 'config', message: `is larger than ${MAX_CONFIG_BYTES} bytes` });
+  }
+
+  const { config, problems } = validateConfig(doc);
+  problems.forEach(problem => {
+    problem.errors.forEach(({ path, message }) => errors.push({ path, message }));
+  });
+  errors.push(...unsafeChangeErrors(doc.tests));
+
+  if (errors.length > 0) {
+    return { config: null, errors };
+  }
+  const cleaned = {};
+  CONFIG_FIELDS.forEach(k => {
+    if (config[k] !== undefined) cleaned[k] = config[k];
+  });
+  return { config: cleaned, errors };
+}
+
+const etagFor = (version) => `"v${version}"`;
+
+const toDocument = (shop, row) => ({
+  shop,
+  version: row.version,
+  updated_at: new Date(row.created_at).toISOString(),
+  config: typeof row.config === 'string' ? JSON.parse(row.config) : row.config
+});
+
+// Resolves to { shop, version, updated_at, config } or null.
+async function getLatestConfig(db, shop) {
+  const { rows } = await db.query(
+    `SELECT version, config, created_at FROM shop_configs
+      WHERE shop_domain = $1 ORDER BY version DESC LIMIT 1`,
+    [shop]
+  );
+  return rows[0] ? toDocument(shop, rows[0]) : null;
+}
+
+// Stores config as the next version. With expectedVersion (from If-Match),
+// resolves to null when another save got there first.
+async function saveConfig(shop, config, { expectedVersion = null } = {}) {
+  return withTransaction(async (client) => {
+    const { rows } = await client.query(
+      'SELECT MAX(version) AS version FROM shop_configs WHERE shop_domain = $1',
+      [shop]
+    );
+    const current = Number(rows[0]?.version) || 0;
+    if (expectedVersion !== null && expectedVersion !== current) {
+      return null;
+    }
+    const inserted = await client.query(
+      `INSERT INTO shop_configs (shop_domain, version, config) VALUES ($1, $2, $3)
+       RETURNING version, config, created_at`,
+      [shop, current + 1, JSON.stringify(config)]
+    );
+    return toDocument(shop, inserted.rows[0]);
+  });
+}
+
+module.exports = { validateConfigDocument, getLatestConfig, saveConfig, etagFor, CONFIG_FIELDS };
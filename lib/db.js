@@ -0,0 +1,61 @@
+/* Database access
+   One pg Pool per process, from DATABASE_URL. DATABASE_URL=pg-mem uses an
+   in-process pg-mem database instead (migrated on first use), so the API can
+   run locally or in tests without a Postgres server. */
+
+const { migrate } = require('./migrate');
+
+let poolPromise = null;
+
+const createMemoryPool = async () => {
+  const { newDb } = require('pg-mem');
+  const db = newDb();
+  const { Pool } = db.adapters.createPg();
+  const pool = new Pool();
+  await migrate(pool);
+  return pool;
+};
+
+const createPool = async () => {
+  const url = process.env.DATABASE_URL;
+  if (!url) {
+    throw new Error('DATABASE_URL is not set');
+  }
+  if (url === 'pg-mem') {
+    return createMemoryPool();
+  }
+  const { Pool } = require('pg');
+  return new Pool({
+    connectionString: url,
+    // Serverless functions: keep few connections per instance
+    max: Number(process.env.PG_POOL_MAX) || 3
+  });
+};
+
+function getPool() {
+  if (!poolPromise) {
+    poolPromise = createPool().catch(err => {
+      poolPromise = null;
+      throw err;
+    });
+  }
+  return poolPromise;
+}
+
+async function withTransaction(fn) {
+  const pool = await getPool();
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { getPool, withTransaction };
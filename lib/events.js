@@ -0,0 +1,63 @@
+/* Event storage
+   Inserts validated events and their test assignments in one transaction.
+   Events whose event_id is already stored for the shop are skipped, so client
+   retries and resends are harmless. event_id is only unique per shop: one
+   shop's ids never hide another's events. */
+
+const { withTransaction } = require('./db');
+
+const EVENT_COLUMNS = [
+  'event_id', 'shop_domain', 'batch_id', 'schema_version', 'event_name', 'event_type',
+  'user_id', 'session_id', 'client_timestamp', 'timezone_offset', 'path', 'template',
+  'device_class', 'test_id', 'goal_name', 'value', 'currency', 'assignment_count', 'config_version',
+  'event_data'
+];
+
+const placeholders = (count, offset = 0) => Array.from({ length: count }, (_, i) => `$${offset + i + 1}`).join(', ');
+
+// Resolves to the number of events actually inserted (i.e. not duplicates).
+async function insertEvents(shopDomain, batchId, events) {
+  return withTransaction(async (client) => {
+    // Checked up front rather than via RETURNING, which pg-mem also fills on
+    // conflict; ON CONFLICT still covers a concurrent insert of the same id.
+    const ids = events.map(e => e.event_id);
+    const { rows } = await client.query(
+      `SELECT event_id FROM events
+        WHERE shop_domain = $1 AND event_id IN (${placeholders(ids.length, 1)})`,
+      [shopDomain, ...ids]
+    );
+    const existing = new Set(rows.map(r => r.event_id));
+
+    let inserted = 0;
+    for (const evt of events) {
+      if (existing.has(evt.event_id)) continue;
+      // The same id twice within one batch
+      existing.add(evt.event_id);
+
+      const row = { ...evt, shop_domain: shopDomain, batch_id: batchId, event_data: JSON.stringify(evt.event_data) };
+      const { rowCount } = await client.query(
+        `INSERT INTO events (${EVENT_COLUMNS.join(', ')})
+         VALUES (${placeholders(EVENT_COLUMNS.length)})
+         ON CONFLICT (shop_domain, event_id) DO NOTHING`,
+        EVENT_COLUMNS.map(c => row[c])
+      );
+      // 0 when a concurrent request stored it first, along with its assignments
+      if (rowCount === 0) continue;
+      inserted++;
+
+      for (const a of evt.test_assignments) {
+        await client.query(
+          `INSERT INTO event_test_assignments
+             (shop_domain, event_id, test_id, assigned_variant, tested_variant, assignment_mode, page_group, layer, allocation)
+           VALUES (${placeholders(9)})
+           ON CONFLICT (shop_domain, event_id, test_id) DO NOTHING`,
+          [shopDomain, evt.event_id, a.test_id, a.assigned_variant, a.tested_variant, a.assignment_mode, a.page_group, a.layer,
+            a.allocation && JSON.stringify(a.allocation)]
+        );
+      }
+    }
+    return inserted;
+  });
+}
+
+module.exports = { insertEvents };
@@ -0,0 +1,75 @@
+/* HTTP helpers shared by the api/ handlers
+   Handlers only use Node's req/res, so they run both as Vercel functions
+   (which pre-parse req.body) and under scripts/dev-server.js (which doesn't). */
+
+class HttpError extends Error {
+  constructor(status, message, details = null) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const readRawBody = (req, limit) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size > limit) {
+      reject(new HttpError(413, `Body larger than ${limit} bytes`));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  req.on('error', reject);
+});
+
+// Beacons arrive as text/plain, so string bodies are parsed here as well.
+async function readJsonBody(req, limit = 1024 * 1024) {
+  let body;
+  try {
+    body = req.body;
+  } catch (err) {
+    // Vercel throws from the getter on malformed JSON
+    throw new HttpError(400, 'Invalid JSON body');
+  }
+  if (body === undefined) {
+    body = await readRawBody(req, limit);
+  }
+  if (Buffer.isBuffer(body)) {
+    body = body.toString('utf8');
+  }
+  if (typeof body === 'string') {
+    if (body.length > limit) {
+      throw new HttpError(413, `Body larger than ${limit} bytes`);
+    }
+    try {
+      return body ? JSON.parse(body) : null;
+    } catch (err) {
+      throw new HttpError(400, 'Invalid JSON body');
+    }
+  }
+  return body;
+}
+
+function sendJson(res, status, payload, headers = {}) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  Object.entries(headers).forEach(([k, v]) => res.setHeader(k, v));
+  res.end(payload === undefined ? '' : JSON.stringify(payload));
+}
+
+// Known errors go back to the client as-is; anything else is a 500.
+function sendError(res, err) {
+  if (err instanceof HttpError) {
+    sendJson(res, err.status, { error: err.message, ...(err.details ? { details: err.details } : {}) });
+    return;
+  }
+  console.error('Unhandled API error:', err);
+  sendJson(res, 500, { error: 'Internal server error' });
+}
+
+module.exports = { HttpError, readJsonBody, sendJson, sendError };
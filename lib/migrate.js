@@ -0,0 +1,56 @@
+/* Migrations
+   Applies db/migrations/NNN_name.sql in order, each in its own transaction,
+   and records them in schema_migrations. Safe to run repeatedly. */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'db', 'migrations');
+
+const listMigrations = () => fs.readdirSync(MIGRATIONS_DIR)
+  .filter(f => /^\d+_[\w-]+\.sql$/.test(f))
+  .sort();
+
+// Creates schema_migrations on first run. (Checked with a SELECT because
+// pg-mem rejects CREATE TABLE IF NOT EXISTS on an existing table.)
+async function appliedVersions(pool) {
+  try {
+    const { rows } = await pool.query('SELECT version FROM schema_migrations');
+    return new Set(rows.map(r => r.version));
+  } catch (err) {
+    await pool.query(`CREATE TABLE schema_migrations (
+      version TEXT PRIMARY KEY,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )`);
+    return new Set();
+  }
+}
+
+async function migrate(pool, { log = () => {} } = {}) {
+  const applied = await appliedVersions(pool);
+
+  const done = [];
+  for (const file of listMigrations()) {
+    const version = file.replace(/\.sql$/, '');
+    if (applied.has(version)) continue;
+
+    const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(sql);
+      await client.query('INSERT INTO schema_migrations (version) VALUES ($1)', [version]);
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw new Error(`Migration ${file} failed: ${err.message}`);
+    } finally {
+      client.release();
+    }
+    log(`Applied ${version}`);
+    done.push(version);
+  }
+  return done;
+}
+
+module.exports = { migrate, listMigrations };
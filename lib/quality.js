@@ -0,0 +1,238 @@
+/* Data quality checks
+   Per test:
+     - sample ratio mismatch: users per assigned_variant against the split
+       the client expected (the allocation stored with each assignment),
+       chi-square goodness of fit. Each user counts with the allocation they
+       were bucketed under, so traffic or weight changes mid-test don't
+       raise false alarms.
+     - impression drop: impressions received in the last 24h against the
+       daily average of the 7 days before. An impression is a variant_applied
+       event (every page a variant, control included, was applied on) or,
+       for redirect tests, the test_impression sent before leaving. Skipped
+       once no event carries the test any more (it ended or was removed).
+     - missing assignments: events of users in the test (any assignment
+       row, or an event about it) that didn't carry the test in
+       test_assignments, including events with no test_assignments at all.
+       Only events from the user's first such event up to the last one seen
+       for the test count: before that they weren't eligible yet, after it
+       the test is over.
+   Each check reports its numbers and whether it raised an alert. */
+
+const { chiSquareGoodnessOfFit } = require('./stats');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const THRESHOLDS = {
+  srmPValue: 0.001,
+  srmMinExpected: 5,
+  impressionDropRatio: 0.5,
+  impressionMinDaily: 20,
+  missingShare: 0.05,
+  missingMinEvents: 100
+};
+
+const parseAllocation = (value) => {
+  if (!value) return null;
+  try {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  } catch (err) {
+    return null;
+  }
+};
+
+const rangeClause = (from, to, params) => {
+  let sql = '';
+  if (from) {
+    params.push(from);
+    sql += ` AND e.client_timestamp >= $${params.length}`;
+  }
+  if (to) {
+    params.push(to);
+    sql += ` AND e.client_timestamp < $${params.length}`;
+  }
+  return sql;
+};
+
+async function checkSampleRatio(db, { shop, testId, from, to }) {
+  const params = [shop, testId];
+  const { rows } = await db.query(
+    `SELECT e.user_id, a.assigned_variant, a.allocation, e.client_timestamp
+       FROM event_test_assignments a
+       JOIN events e ON e.shop_domain = a.shop_domain AND e.event_id = a.event_id
+      WHERE e.shop_domain = $1 AND a.test_id = $2 AND a.allocation IS NOT NULL${rangeClause(from, to, params)}`,
+    params
+  );
+
+  // Each user's earliest row decides their variant and allocation
+  const users = new Map();
+  rows.forEach(row => {
+    const seen = new Date(row.client_timestamp).getTime();
+    const current = users.get(row.user_id);
+    if (!current || seen < current.seen) {
+      users.set(row.user_id, { seen, variant: String(row.assigned_variant), allocation: parseAllocation(row.allocation) });
+    }
+  });
+
+  const observed = {};
+  const expected = {};
+  users.forEach(({ variant, allocation }) => {
+    if (!allocation) return;
+    observed[variant] = (observed[variant] || 0) + 1;
+    Object.entries(allocation).forEach(([v, share]) => {
+      expected[v] = (expected[v] || 0) + Number(share);
+    });
+  });
+
+  // A variant observed but never expected is a mismatch on its own
+  const unexpected = Object.keys(observed).filter(v => !(expected[v] > 0));
+  const fit = chiSquareGoodnessOfFit(observed, expected);
+  const enoughData = fit !== null && fit.min_expected >= THRESHOLDS.srmMinExpected;
+  const alert = unexpected.length > 0 || (enoughData && fit.p_value < THRESHOLDS.srmPValue);
+
+  return {
+    users: Object.values(observed).reduce((sum, n) => sum + n, 0),
+    variants: fit ? fit.cells : [],
+    unexpected_variants: unexpected,
+    chi_square: fit ? fit.statistic : null,
+    df: fit ? fit.df : null,
+    p_value: fit ? fit.p_value : null,
+    threshold: THRESHOLDS.srmPValue,
+    status: alert ? 'mismatch' : enoughData ? 'ok' : 'insufficient_data',
+    alert
+  };
+}
+
+async function checkImpressions(db, { shop, testId, now }) {
+  const end = now.getTime();
+  const assigned = await db.query(
+    `SELECT COUNT(*) AS events
+       FROM event_test_assignments a
+       JOIN events e ON e.shop_domain = a.shop_domain AND e.event_id = a.event_id
+      WHERE e.shop_domain = $1 AND a.test_id = $2 AND e.received_at >= $3`,
+    [shop, testId, new Date(end - DAY).toISOString()]
+  );
+  const running = Number(assigned.rows[0]?.events) > 0;
+
+  const { rows } = await db.query(
+    `SELECT
+       SUM(CASE WHEN e.received_at >= $3 THEN 1 ELSE 0 END) AS recent,
+       SUM(CASE WHEN e.received_at < $3 THEN 1 ELSE 0 END) AS previous
+       FROM events e
+      WHERE e.shop_domain = $1 AND e.test_id = $2
+        AND e.event_name IN ('variant_applied', 'test_impression')
+        AND e.received_at >= $4 AND e.received_at < $5`,
+    [shop, testId, new Date(end - DAY).toISOString(), new Date(end - 8 * DAY).toISOString(), now.toISOString()]
+  );
+  const recent = Number(rows[0]?.recent) || 0;
+  const dailyAverage = (Number(rows[0]?.previous) || 0) / 7;
+  const ratio = dailyAverage > 0 ? recent / dailyAverage : null;
+  const alert = running && dailyAverage >= THRESHOLDS.impressionMinDaily && ratio < THRESHOLDS.impressionDropRatio;
+
+  return {
+    running,
+    last_24h: recent,
+    previous_daily_average: Number(dailyAverage.toFixed(2)),
+    ratio: ratio === null ? null : Number(ratio.toFixed(4)),
+    threshold: THRESHOLDS.impressionDropRatio,
+    alert
+  };
+}
+
+async function checkMissingAssignments(db, { shop, testId, from, to, now }) {
+  const params = [shop, testId];
+  const range = from || to
+    ? rangeClause(from, to, params)
+    : rangeClause(new Date(now.getTime() - 7 * DAY).toISOString(), null, params);
+  // Events showing the user is in the test: carrying it, or about it
+  const inTest = `SELECT ie.user_id, ie.client_timestamp
+       FROM events ie
+       LEFT JOIN event_test_assignments ia
+         ON ia.shop_domain = ie.shop_domain AND ia.event_id = ie.event_id AND ia.test_id = $2
+      WHERE ie.shop_domain = $1 AND (ia.event_id IS NOT NULL OR ie.test_id = $2)`;
+  const { rows } = await db.query(
+    `SELECT COUNT(*) AS events,
+            SUM(CASE WHEN a.event_id IS NULL THEN 1 ELSE 0 END) AS missing
+       FROM events e
+       JOIN (SELECT t.user_id, MIN(t.client_timestamp) AS first_seen FROM (${inTest}) t GROUP BY t.user_id) u
+         ON u.user_id = e.user_id
+       LEFT JOIN event_test_assignments a
+         ON a.shop_domain = e.shop_domain AND a.event_id = e.event_id AND a.test_id = $2
+      WHERE e.shop_domain = $1${range}
+        AND e.client_timestamp >= u.first_seen
+        AND e.client_timestamp <= (SELECT MAX(l.client_timestamp) FROM (${inTest}) l)`,
+    params
+  );
+  const events = Number(rows[0]?.events) || 0;
+  const missing = Number(rows[0]?.missing) || 0;
+  const share = events > 0 ? missing / events : null;
+  const alert = events >= THRESHOLDS.missingMinEvents && share > THRESHOLDS.missingShare;
+
+  return {
+    events,
+    missing,
+    share: share === null ? null : Number(share.toFixed(4)),
+    threshold: THRESHOLDS.missingShare,
+    alert
+  };
+}
+
+const describe = (testId, { srm, impressions, missing_assignments: missing }) => {
+  const alerts = [];
+  if (srm.alert) {
+    alerts.push({
+      test_id: testId,
+      check: 'sample_ratio_mismatch',
+      message: srm.unexpected_variants.length > 0
+        ? `${testId}: users in unexpected variant(s) ${srm.unexpected_variants.join(', ')}`
+        : `${testId}: sample ratio mismatch (p = ${srm.p_value.toExponential(2)}, ${srm.users} users)`
+    });
+  }
+  if (impressions.alert) {
+    alerts.push({
+      test_id: testId,
+      check: 'impression_drop',
+      message: `${testId}: ${impressions.last_24h} impressions in the last 24h vs ${impressions.previous_daily_average}/day before`
+    });
+  }
+  if (missing.alert) {
+    alerts.push({
+      test_id: testId,
+      check: 'missing_assignments',
+      message: `${testId}: ${(missing.share * 100).toFixed(1)}% of ${missing.events} events lack its test assignment`
+    });
+  }
+  return alerts;
+};
+
+// from / to narrow the SRM and missing-assignment checks like the results
+// they accompany; the impression check always looks at the last 8 days.
+async function checkTestQuality(db, { shop, testId, from = null, to = null, now = new Date() }) {
+  const options = { shop, testId, from, to, now };
+  const checks = {
+    srm: await checkSampleRatio(db, options),
+    impressions: await checkImpressions(db, options),
+    missing_assignments: await checkMissingAssignments(db, options)
+  };
+  return { ...checks, alerts: describe(testId, checks) };
+}
+
+// Tests with any event in the last `days`, optionally for one shop.
+async function listActiveTests(db, { shop = null, days = 7, now = new Date() } = {}) {
+  const params = [new Date(now.getTime() - days * DAY).toISOString()];
+  let shopClause = '';
+  if (shop) {
+    params.push(shop);
+    shopClause = ` AND e.shop_domain = $${params.length}`;
+  }
+  const { rows } = await db.query(
+    `SELECT DISTINCT e.shop_domain, a.test_id
+       FROM event_test_assignments a
+       JOIN events e ON e.shop_domain = a.shop_domain AND e.event_id = a.event_id
+      WHERE e.received_at >= $1${shopClause}
+      ORDER BY e.shop_domain, a.test_id`,
+    params
+  );
+  return rows.map(r => ({ shop: r.shop_domain, testId: r.test_id }));
+}
+
+module.exports = { checkTestQuality, listActiveTests, THRESHOLDS };
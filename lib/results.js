@@ -0,0 +1,186 @@
+/* Test results
+   Each visitor counts once per test, in the variant of the first event that
+   carried the test. Visitors are analysed by tested_variant, so those the
+   client marked "excluded" (another test in the same page group or layer
+   also showed them a variant) are reported but left out of the comparison.
+   Events stored before tested_variant was reported fall back to assigned_variant.
+   A conversion is an event with a goal (event_data.goal) that carried the test. */
+
+const { compareProportions, compareMeans } = require('./stats');
+const { checkTestQuality } = require('./quality');
+
+const CONTROL = '0';
+const EXCLUDED = 'excluded';
+
+const range = (from, to, params) => {
+  const clauses = [];
+  if (from) {
+    params.push(from);
+    clauses.push(`e.client_timestamp >= $${params.length}`);
+  }
+  if (to) {
+    params.push(to);
+    clauses.push(`e.client_timestamp < $${params.length}`);
+  }
+  return clauses.map(c => ` AND ${c}`).join('');
+};
+
+async function loadRows(db, { shop, testId, goal, from, to }) {
+  const visitorParams = [shop, testId];
+  const visitors = await db.query(
+    `SELECT e.user_id, a.assigned_variant, a.tested_variant,
+            MIN(e.client_timestamp) AS first_seen,
+            COUNT(DISTINCT e.session_id) AS sessions
+       FROM event_test_assignments a
+       JOIN events e ON e.shop_domain = a.shop_domain AND e.event_id = a.event_id
+      WHERE e.shop_domain = $1 AND a.test_id = $2${range(from, to, visitorParams)}
+      GROUP BY e.user_id, a.assigned_variant, a.tested_variant`,
+    visitorParams
+  );
+
+  const goalParams = [shop, testId];
+  let goalClause = '';
+  if (goal) {
+    goalParams.push(goal);
+    goalClause = ` AND e.goal_name = $${goalParams.length}`;
+  }
+  const conversions = await db.query(
+    `SELECT e.user_id, e.goal_name,
+            COUNT(*) AS conversions,
+            COALESCE(SUM(e.value), 0) AS revenue
+       FROM events e
+       JOIN event_test_assignments a
+         ON a.shop_domain = e.shop_domain AND a.event_id = e.event_id AND a.test_id = $2
+      WHERE e.shop_domain = $1 AND e.goal_name IS NOT NULL${goalClause}${range(from, to, goalParams)}
+      GROUP BY e.user_id, e.goal_name`,
+    goalParams
+  );
+
+  return { visitorRows: visitors.rows, conversionRows: conversions.rows };
+}
+
+// Picks each visitor's variant from their earliest assignment row.
+function resolveVisitors(visitorRows) {
+  const byUser = new Map();
+  visitorRows.forEach(row => {
+    const seen = new Date(row.first_seen).getTime();
+    const current = byUser.get(row.user_id);
+    const sessions = Number(row.sessions) || 0;
+    if (!current || seen < current.seen) {
+      byUser.set(row.user_id, {
+        seen,
+        assigned: String(row.assigned_variant),
+        tested: row.tested_variant === null || row.tested_variant === undefined
+          ? String(row.assigned_variant)
+          : String(row.tested_variant),
+        sessions: (current?.sessions || 0) + sessions
+      });
+    } else {
+      current.sessions += sessions;
+    }
+  });
+  return byUser;
+}
+
+const sortVariants = (a, b) => (a === CONTROL ? -1 : b === CONTROL ? 1 : a.localeCompare(b, undefined, { numeric: true }));
+
+function summarize({ visitorRows, conversionRows }, { confidence = 0.95 } = {}) {
+  const visitors = resolveVisitors(visitorRows);
+
+  const assignment = new Map();
+  const variants = new Map();
+  visitors.forEach(v => {
+    const key = `${v.assigned}|${v.tested}`;
+    const cell = assignment.get(key) || { assigned_variant: v.assigned, tested_variant: v.tested, users: 0, sessions: 0 };
+    cell.users++;
+    cell.sessions += v.sessions;
+    assignment.set(key, cell);
+
+    if (v.tested === EXCLUDED) return;
+    const variant = variants.get(v.tested) || { variant: v.tested, users: 0, sessions: 0 };
+    variant.users++;
+    variant.sessions += v.sessions;
+    variants.set(v.tested, variant);
+  });
+
+  // goal -> variant -> per-user totals
+  const goals = new Map();
+  conversionRows.forEach(row => {
+    const visitor = visitors.get(row.user_id);
+    if (!visitor || visitor.tested === EXCLUDED) return;
+    if (!goals.has(row.goal_name)) goals.set(row.goal_name, new Map());
+    const perVariant = goals.get(row.goal_name);
+    const totals = perVariant.get(visitor.tested) || { converters: 0, conversions: 0, revenue: 0, revenueSquares: 0 };
+    const revenue = Number(row.revenue) || 0;
+    totals.converters++;
+    totals.conversions += Number(row.conversions) || 0;
+    totals.revenue += revenue;
+    totals.revenueSquares += revenue * revenue;
+    perVariant.set(visitor.tested, totals);
+  });
+
+  const variantIds = Array.from(variants.keys()).sort(sortVariants);
+  const goalResults = {};
+  goals.forEach((perVariant, goalName) => {
+    const rows = variantIds.map(id => {
+      const users = variants.get(id).users;
+      const t = perVariant.get(id) || { converters: 0, conversions: 0, revenue: 0, revenueSquares: 0 };
+      return {
+        variant: id,
+        users,
+        converters: t.converters,
+        conversions: t.conversions,
+        conversion_rate: users > 0 ? t.converters / users : null,
+        revenue: Number(t.revenue.toFixed(2)),
+        revenue_per_visitor: users > 0 ? Number((t.revenue / users).toFixed(4)) : null,
+        average_order_value: t.conversions > 0 ? Number((t.revenue / t.conversions).toFixed(2)) : null,
+        // per-user revenue moments, for Welch's test
+        _revenue: { n: users, sum: t.revenue, sumSquares: t.revenueSquares }
+      };
+    });
+
+    const control = rows.find(r => r.variant === CONTROL);
+    rows.forEach(r => {
+      r.comparison = control && r !== control
+        ? {
+          conversion_rate: compareProportions(
+            { conversions: r.converters, users: r.users },
+            { conversions: control.converters, users: control.users },
+            confidence
+          ),
+          revenue_per_visitor: compareMeans(r._revenue, control._revenue, confidence)
+        }
+        : null;
+    });
+    rows.forEach(r => delete r._revenue);
+    goalResults[goalName] = { variants: rows };
+  });
+
+  const excluded = Array.from(visitors.values()).filter(v => v.tested === EXCLUDED).length;
+  return {
+    control: CONTROL,
+    confidence,
+    users: visitors.size,
+    excluded_users: excluded,
+    assignment: Array.from(assignment.values())
+      .sort((a, b) => sortVariants(a.assigned_variant, b.assigned_variant) || a.tested_variant.localeCompare(b.tested_variant)),
+    variants: variantIds.map(id => variants.get(id)),
+    goals: goalResults
+  };
+}
+
+async function getTestResults(db, options) {
+  const rows = await loadRows(db, options);
+  const quality = await checkTestQuality(db, options);
+  return {
+    test_id: options.testId,
+    shop: options.shop,
+    from: options.from || null,
+    to: options.to || null,
+    generated_at: new Date().toISOString(),
+    ...summarize(rows, options),
+    quality
+  };
+}
+
+module.exports = { getTestResults, summarize, resolveVisitors };
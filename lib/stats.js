@@ -0,0 +1,284 @@
+/* Statistics for test results
+   Two-proportion z-test for conversion rates, Welch's t-test for revenue per
+   visitor, delta-method intervals for relative lift, and Bayesian
+   probability-to-beat-control (exact Beta posterior for rates, normal
+   approximation for means), plus a chi-square goodness-of-fit test for
+   sample ratio mismatch. No dependencies. */
+
+// Abramowitz & Stegun 7.1.26 (error < 1.5e-7)
+function erf(x) {
+  const sign = x < 0 ? -1 : 1;
+  const t = 1 / (1 + 0.3275911 * Math.abs(x));
+  const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592)
+    * t * Math.exp(-x * x);
+  return sign * y;
+}
+
+const normalCdf = (z) => 0.5 * (1 + erf(z / Math.SQRT2));
+
+// Inverse normal CDF (Acklam's rational approximation)
+function normalQuantile(p) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5])
+      / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) {
+    return -normalQuantile(1 - p);
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q
+    / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+// Lanczos approximation
+function logGamma(x) {
+  const g = [676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+    12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+  if (x < 0.5) {
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+  x -= 1;
+  let sum = 0.99999999999980993;
+  g.forEach((coef, i) => {
+    sum += coef / (x + i + 1);
+  });
+  const t = x + g.length - 0.5;
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+const logBeta = (a, b) => logGamma(a) + logGamma(b) - logGamma(a + b);
+
+// Continued fraction for the regularized incomplete beta (Numerical Recipes)
+function betaContinuedFraction(x, a, b) {
+  const EPS = 1e-12;
+  const TINY = 1e-300;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < TINY) d = TINY;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 300; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    h *= d * c;
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < EPS) break;
+  }
+  return h;
+}
+
+function regularizedIncompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(a * Math.log(x) + b * Math.log(1 - x) - logBeta(a, b));
+  if (x < (a + 1) / (a + b + 2)) {
+    return front * betaContinuedFraction(x, a, b) / a;
+  }
+  return 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+// Two-sided p-value for a t statistic
+function studentTTwoSidedP(t, df) {
+  if (!Number.isFinite(t) || !(df > 0)) return null;
+  return regularizedIncompleteBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+// Regularized upper incomplete gamma Q(a, x): series below a + 1, continued
+// fraction above (Numerical Recipes gser / gcf)
+function regularizedUpperGamma(a, x) {
+  if (x <= 0) return 1;
+  const EPS = 1e-12;
+  const TINY = 1e-300;
+  const front = Math.exp(-x + a * Math.log(x) - logGamma(a));
+  if (x < a + 1) {
+    let term = 1 / a;
+    let sum = term;
+    for (let n = 1; n <= 500; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * EPS) break;
+    }
+    return Math.max(0, 1 - sum * front);
+  }
+  let b = x + 1 - a;
+  let c = 1 / TINY;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i <= 500; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = b + an / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < EPS) break;
+  }
+  return Math.min(1, front * h);
+}
+
+// Upper tail of the chi-square distribution
+function chiSquareP(statistic, df) {
+  if (!Number.isFinite(statistic) || !(df > 0)) return null;
+  return regularizedUpperGamma(df / 2, statistic / 2);
+}
+
+const round = (v, digits = 6) => (Number.isFinite(v) ? Number(v.toFixed(digits)) : null);
+
+// Relative lift (treatment / control - 1) with a delta-method interval.
+function relativeLift(meanT, varMeanT, meanC, varMeanC, z) {
+  if (!(meanC > 0)) {
+    return { lift: null, lift_ci: null };
+  }
+  const ratio = meanT / meanC;
+  const se = meanT > 0
+    ? ratio * Math.sqrt(varMeanT / (meanT * meanT) + varMeanC / (meanC * meanC))
+    : Math.sqrt(varMeanT) / meanC;
+  return {
+    lift: round(ratio - 1),
+    lift_ci: [round(ratio - 1 - z * se), round(ratio - 1 + z * se)]
+  };
+}
+
+// P(rate_T > rate_C) with Beta(1 + conversions, 1 + failures) posteriors,
+// exact (Evan Miller's closed form; the loop runs over treatment conversions).
+function probabilityBetaBeats(convT, nT, convC, nC) {
+  const aT = convT + 1;
+  const bT = nT - convT + 1;
+  const aC = convC + 1;
+  const bC = nC - convC + 1;
+  let total = 0;
+  for (let i = 0; i < aT; i++) {
+    total += Math.exp(logBeta(aC + i, bC + bT) - Math.log(bT + i) - logBeta(1 + i, bT) - logBeta(aC, bC));
+  }
+  return Math.min(1, Math.max(0, total));
+}
+
+// Conversion rate of treatment vs control
+function compareProportions({ conversions: xT, users: nT }, { conversions: xC, users: nC }, confidence = 0.95) {
+  if (!nT || !nC) return null;
+  const z = normalQuantile(1 - (1 - confidence) / 2);
+  const pT = xT / nT;
+  const pC = xC / nC;
+  const varT = pT * (1 - pT) / nT;
+  const varC = pC * (1 - pC) / nC;
+  const diff = pT - pC;
+  const seDiff = Math.sqrt(varT + varC);
+
+  const pooled = (xT + xC) / (nT + nC);
+  const sePooled = Math.sqrt(pooled * (1 - pooled) * (1 / nT + 1 / nC));
+  const zStat = sePooled > 0 ? diff / sePooled : 0;
+  const pValue = sePooled > 0 ? 2 * (1 - normalCdf(Math.abs(zStat))) : 1;
+
+  return {
+    diff: round(diff),
+    diff_ci: [round(diff - z * seDiff), round(diff + z * seDiff)],
+    ...relativeLift(pT, varT, pC, varC, z),
+    z: round(zStat, 4),
+    p_value: round(pValue),
+    significant: pValue < 1 - confidence,
+    probability_to_beat_control: round(probabilityBetaBeats(xT, nT, xC, nC), 4)
+  };
+}
+
+// Mean of a per-user metric (e.g. revenue) from n, sum and sum of squares
+const meanAndVariance = ({ n, sum, sumSquares }) => {
+  const mean = n > 0 ? sum / n : 0;
+  const variance = n > 1 ? Math.max(0, (sumSquares - n * mean * mean) / (n - 1)) : 0;
+  return { mean, variance };
+};
+
+// Welch's t-test on per-user means of treatment vs control
+function compareMeans(treatment, control, confidence = 0.95) {
+  if (treatment.n < 2 || control.n < 2) return null;
+  const z = normalQuantile(1 - (1 - confidence) / 2);
+  const t = meanAndVariance(treatment);
+  const c = meanAndVariance(control);
+  const varMeanT = t.variance / treatment.n;
+  const varMeanC = c.variance / control.n;
+  const se = Math.sqrt(varMeanT + varMeanC);
+  const diff = t.mean - c.mean;
+
+  let tStat = null;
+  let df = null;
+  let pValue = 1;
+  if (se > 0) {
+    tStat = diff / se;
+    df = (varMeanT + varMeanC) ** 2
+      / ((varMeanT ** 2) / (treatment.n - 1) + (varMeanC ** 2) / (control.n - 1));
+    pValue = studentTTwoSidedP(tStat, df);
+  }
+
+  return {
+    diff: round(diff, 4),
+    diff_ci: [round(diff - z * se, 4), round(diff + z * se, 4)],
+    ...relativeLift(t.mean, varMeanT, c.mean, varMeanC, z),
+    t: round(tStat, 4),
+    df: round(df, 1),
+    p_value: round(pValue),
+    significant: pValue < 1 - confidence,
+    // Normal approximation to the posterior of the difference in means
+    probability_to_beat_control: se > 0 ? round(normalCdf(diff / se), 4) : null
+  };
+}
+
+// Observed counts vs expected shares ({ variant: count }, { variant: share }).
+// Shares are normalized over the variants present in expected.
+function chiSquareGoodnessOfFit(observed, expected) {
+  const variants = Object.keys(expected).filter(v => expected[v] > 0);
+  const totalShare = variants.reduce((sum, v) => sum + expected[v], 0);
+  const n = variants.reduce((sum, v) => sum + (observed[v] || 0), 0);
+  if (variants.length < 2 || !(totalShare > 0) || n === 0) return null;
+
+  let statistic = 0;
+  const cells = variants.map(v => {
+    const exp = n * expected[v] / totalShare;
+    const obs = observed[v] || 0;
+    statistic += (obs - exp) ** 2 / exp;
+    return { variant: v, observed: obs, expected: round(exp, 2) };
+  });
+  const df = variants.length - 1;
+  return {
+    cells,
+    statistic: round(statistic, 4),
+    df,
+    p_value: chiSquareP(statistic, df),
+    min_expected: Math.min(...cells.map(c => c.expected))
+  };
+}
+
+module.exports = {
+  normalCdf,
+  normalQuantile,
+  regularizedIncompleteBeta,
+  studentTTwoSidedP,
+  chiSquareP,
+  chiSquareGoodnessOfFit,
+  probabilityBetaBeats,
+  compareProportions,
+  compareMeans,
+  meanAndVariance
+};
@@ -0,0 +1,140 @@
+/* Event validation
+   Checks a batch against the shape PostgresReporter.createEventPayload builds:
+     [{ type, data: { event_id, schema_version, session_id, user_id, event_name,
+        event_type, client_timestamp, timezone_offset, event_data } }]
+   and normalizes each event into the columns of the events table. */
+
+const crypto = require('crypto');
+
+const MAX_BATCH = 500;
+const MAX_EVENT_BYTES = 32 * 1024;
+// events.value is NUMERIC(14, 2)
+const MAX_VALUE = 1e12;
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+const shortString = (v, max = 200) => typeof v === 'string' && v.length > 0 && v.length <= max;
+
+const optionalString = (v, max = 200) => (typeof v === 'string' && v.length > 0 ? v.slice(0, max) : null);
+
+const toNumber = (v) => {
+  if (v === null || v === undefined || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+};
+
+// { variant: share } with shares in [0, 1]; anything else is dropped.
+const allocationMap = (v) => {
+  if (!isObject(v)) return null;
+  const entries = Object.entries(v).slice(0, 50).map(([variant, share]) => [variant.slice(0, 50), toNumber(share)]);
+  const valid = entries.length > 0 && entries.every(([, share]) => share !== null && share >= 0 && share <= 1);
+  return valid ? Object.fromEntries(entries) : null;
+};
+
+function validateEvent(evt) {
+  const errors = [];
+  if (!isObject(evt)) {
+    return { errors: ['event must be an object'] };
+  }
+  if (!shortString(evt.type, 50)) errors.push('type is required');
+  const data = evt.data;
+  if (!isObject(data)) {
+    errors.push('data must be an object');
+    return { errors };
+  }
+
+  if (data.event_id !== undefined && !shortString(data.event_id, 100)) errors.push('data.event_id must be a string');
+  if (data.schema_version !== undefined && !Number.isInteger(data.schema_version)) {
+    errors.push('data.schema_version must be an integer');
+  }
+  ['user_id', 'session_id'].forEach(k => {
+    if (!shortString(data[k], 100)) errors.push(`data.${k} is required`);
+  });
+  if (!shortString(data.event_name, 100)) errors.push('data.event_name is required');
+  if (!shortString(data.event_type, 50)) errors.push('data.event_type is required');
+  if (typeof data.client_timestamp !== 'string' || Number.isNaN(Date.parse(data.client_timestamp))) {
+    errors.push('data.client_timestamp must be an ISO date');
+  }
+  if (data.timezone_offset !== undefined && data.timezone_offset !== null && !Number.isInteger(data.timezone_offset)) {
+    errors.push('data.timezone_offset must be an integer');
+  }
+  if (data.event_data !== undefined && !isObject(data.event_data)) errors.push('data.event_data must be an object');
+  const assignments = data.event_data?.test_assignments;
+  if (assignments !== undefined && assignments !== null && !isObject(assignments)) {
+    errors.push('data.event_data.test_assignments must be an object');
+  }
+  const value = toNumber(data.event_data?.value);
+  if (value !== null && !(Math.abs(Math.round(value * 100) / 100) < MAX_VALUE)) {
+    errors.push(`data.event_data.value must be less than ${MAX_VALUE} in absolute value`);
+  }
+  if (Buffer.byteLength(JSON.stringify(evt)) > MAX_EVENT_BYTES) {
+    errors.push(`event is larger than ${MAX_EVENT_BYTES} bytes`);
+  }
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const eventData = data.event_data || {};
+  const testAssignments = Object.entries(eventData.test_assignments || {})
+    .filter(([testId, a]) => testId && isObject(a) && a.assigned_variant !== undefined)
+    .map(([testId, a]) => ({
+      test_id: testId.slice(0, 200),
+      assigned_variant: String(a.assigned_variant),
+      tested_variant: a.tested_variant === undefined || a.tested_variant === null ? null : String(a.tested_variant),
+      assignment_mode: optionalString(a.mode, 50),
+      page_group: optionalString(a.group, 200),
+      layer: optionalString(a.layer, 100),
+      allocation: allocationMap(a.allocation)
+    }));
+
+  return {
+    errors,
+    event: {
+      // Events queued before ids existed get one here; they can't be deduplicated
+      event_id: data.event_id || crypto.randomUUID(),
+      schema_version: data.schema_version ?? 0,
+      event_name: data.event_name,
+      event_type: data.event_type,
+      user_id: data.user_id,
+      session_id: data.session_id,
+      client_timestamp: new Date(data.client_timestamp).toISOString(),
+      timezone_offset: data.timezone_offset ?? null,
+      path: optionalString(eventData.path, 500),
+      template: optionalString(eventData.template, 100),
+      device_class: optionalString(eventData.device_class, 20),
+      test_id: optionalString(eventData.test_id, 200),
+      goal_name: optionalString(eventData.goal, 200),
+      value: toNumber(eventData.value),
+      currency: optionalString(eventData.currency, 10),
+      assignment_count: testAssignments.length,
+      config_version: Number.isInteger(eventData.config_version) ? eventData.config_version : null,
+      event_data: eventData,
+      test_assignments: testAssignments
+    }
+  };
+}
+
+// Any invalid event rejects the whole batch with its index, so the client
+// can split the batch and dead-letter just that event.
+function validateBatch(body) {
+  if (!Array.isArray(body)) {
+    return { events: [], errors: [{ index: null, errors: ['body must be a JSON array of events'] }] };
+  }
+  if (body.length === 0 || body.length > MAX_BATCH) {
+    return { events: [], errors: [{ index: null, errors: [`batch must hold 1 to ${MAX_BATCH} events`] }] };
+  }
+
+  const events = [];
+  const errors = [];
+  body.forEach((evt, index) => {
+    const result = validateEvent(evt);
+    if (result.errors.length > 0) {
+      errors.push({ index, errors: result.errors });
+    } else {
+      events.push(result.event);
+    }
+  });
+  return { events, errors };
+}
+
+module.exports = { validateBatch, validateEvent, MAX_BATCH };
@@ -0,0 +1,295 @@
+/* AB Testing Debug Panel
+   On-page overlay listing tests, assignments, applied body classes and the event queue.
+   Enable with ?ab_debug=1 (remembered in a session cookie), disable with ?ab_debug=0.
+   Dependencies: AssignmentManager, ABTestManager; PostgresReporter optional */
+
+(() => {
+  if (window.ABDebugPanel) {
+    console.warn('AB Debug Panel already loaded');
+    return;
+  }
+
+  const COOKIE = 'ab_debug';
+
+  const isEnabled = () => {
+    const param = new URLSearchParams(window.location.search).get(COOKIE);
+    if (param === '1') {
+      document.cookie = `${COOKIE}=1; path=/; SameSite=Lax`;
+      return true;
+    }
+    if (param === '0') {
+      document.cookie = `${COOKIE}=; path=/; max-age=0; SameSite=Lax`;
+      return false;
+    }
+    return document.cookie.split('; ').includes(`${COOKIE}=1`);
+  };
+
+  const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+  const table = (headers, rows) => {
+    if (rows.length === 0) {
+      return '<p class="ab-dbg-empty">none</p>';
+    }
+    const head = headers.map(h => `<th>${escapeHtml(h)}</th>`).join('');
+    const body = rows.map(r => `<tr>${r.map(c => `<td>${c}</td>`).join('')}</tr>`).join('');
+    return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+  };
+
+  const STYLES = `
+    #ab-debug-panel { position: fixed; right: 12px; bottom: 12px; z-index: 2147483647;
+      width: 560px; max-width: calc(100vw - 24px); max-height: 70vh; overflow: auto;
+      background: #111; color: #eee; font: 12px/1.4 monospace; border-radius: 6px;
+      box-shadow: 0 4px 16px rgba(0,0,0,.4); }
+    #ab-debug-panel header { display: flex; justify-content: space-between; align-items: center;
+      padding: 6px 10px; background: #222; position: sticky; top: 0; }
+    #ab-debug-panel section { padding: 6px 10px; border-top: 1px solid #333; }
+    #ab-debug-panel h4 { margin: 4px 0; font-size: 12px; color: #8cf; }
+    #ab-debug-panel table { width: 100%; border-collapse: collapse; }
+    #ab-debug-panel th, #ab-debug-panel td { text-align: left; padding: 2px 4px;
+      border-bottom: 1px solid #2a2a2a; vertical-align: top; word-break: break-word; }
+    #ab-debug-panel button, #ab-debug-panel select { font: inherit; background: #333; color: #eee;
+      border: 1px solid #555; border-radius: 3px; padding: 1px 6px; cursor: pointer; }
+    #ab-debug-panel .ab-dbg-no { color: #f88; }
+    #ab-debug-panel .ab-dbg-yes { color: #8f8; }
+    #ab-debug-panel .ab-dbg-empty { color: #888; margin: 2px 0; }
+    #ab-debug-panel.ab-dbg-collapsed section { display: none; }
+  `;
+
+  class ABDebugPanel {
+    constructor() {
+      this.root = null;
+      this.refreshTimer = null;
+      this.queueOpen = false;
+    }
+
+    get manager() {
+      return window.ABTestManager?.instance || null;
+    }
+
+    get assignmentManager() {
+      return this.manager?.assignmentManager || new AssignmentManager();
+    }
+
+    get reporter() {
+      return window.postgresReporter || null;
+    }
+
+    mount() {
+      if (this.root || !document.body) return;
+
+      const style = document.createElement('style');
+      style.textContent = STYLES;
+      document.head.appendChild(style);
+
+      this.root = document.createElement('div');
+      this.root.id = 'ab-debug-panel';
+      this.root.addEventListener('click', (e) => this.handleClick(e));
+      document.body.appendChild(this.root);
+
+      this.render();
+    }
+
+    // The queue changes on its own, so that section refreshes every second,
+    // but only while it is open and the panel isn't collapsed.
+    updatePolling() {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+      if (this.queueOpen && !this.root.classList.contains('ab-dbg-collapsed')) {
+        this.refreshTimer = setInterval(() => this.refreshQueue(), 1000);
+      }
+    }
+
+    render() {
+      if (!this.root) return;
+      const collapsed = this.root.classList.contains('ab-dbg-collapsed');
+      const mgr = this.manager;
+      const am = this.assignmentManager;
+
+      this.root.innerHTML = `
+        <header>
+          <strong>AB testing debug</strong>
+          <span>
+            ${escapeHtml(mgr?.deviceClass || '')}
+            ${am.isQaSession() ? '<span class="ab-dbg-no">QA session</span>' : ''}
+            <button data-action="toggle">${collapsed ? 'show' : 'hide'}</button>
+          </span>
+        </header>
+        <section><h4>Tests${this.renderConfigSource(mgr)}</h4>${this.renderTests(mgr, am)}</section>
+        ${mgr?.configProblems?.length ? `<section><h4>Config problems (${mgr.configProblems.length})</h4>${this.renderConfigProblems(mgr)}</section>` : ''}
+        <section><h4>Body classes added on this page</h4>${this.renderClasses(mgr)}</section>
+        <section data-section="queue">${this.queueOpen
+          ? '<h4>Event queue</h4><p class="ab-dbg-empty">loading</p>'
+          : '<h4>Event queue <button data-action="toggle-queue">show</button></h4>'}</section>
+        <section>
+          <button data-action="reset-qa">Clear QA overrides</button>
+          <button data-action="clear-all">Clear all assignments</button>
+        </section>
+      `;
+      if (this.queueOpen) {
+        this.refreshQueue();
+      }
+      this.updatePolling();
+    }
+
+    // The queue lives in IndexedDB, so this section fills in asynchronously
+    async refreshQueue() {
+      try {
+        const html = await this.renderQueue();
+        const section = this.root?.querySelector('[data-section="queue"]');
+        if (section) {
+          section.innerHTML = html;
+        }
+      } catch (err) {
+        console.error('Failed to render event queue:', err);
+      }
+    }
+
+    renderConfigSource(mgr) {
+      if (!mgr) return '';
+      const version = mgr.configVersion !== null && mgr.configVersion !== undefined ? ` v${mgr.configVersion}` : '';
+      return ` (${escapeHtml(mgr.configSource || 'theme')} config${escapeHtml(version)})`;
+    }
+
+    renderConfigProblems(mgr) {
+      const rows = mgr.configProblems.map(p => [
+        escapeHtml(p.entry) + (p.test_id ? `<br>${escapeHtml(p.test_id)}` : ''),
+        `<span class="ab-dbg-no">${escapeHtml(p.action)}</span>`,
+        p.errors.map(e => `${escapeHtml(e.path)} ${escapeHtml(e.message)}`).join('<br>')
+      ]);
+      return table(['entry', '', 'problem'], rows);
+    }
+
+    renderTests(mgr, am) {
+      if (!mgr) {
+        return '<p class="ab-dbg-empty">ABTestManager not initialized yet</p>';
+      }
+      const rows = (mgr.configuredTests || []).map(test => {
+        const elig = mgr.eligibility?.[test.id];
+        const eligible = elig?.eligible
+          ? `<span class="ab-dbg-yes">yes</span>${elig.detail ? ` (${escapeHtml(elig.detail)})` : ''}`
+          : `<span class="ab-dbg-no">no: ${escapeHtml(elig?.reason || 'unknown')}</span>`
+            + (elig?.detail ? `<br>${escapeHtml(elig.detail)}` : '');
+        const asg = am.getAssignment(test.id);
+        const assignment = asg
+          ? `${escapeHtml(asg.assigned_variant)} / ${escapeHtml(asg.type)} / ${escapeHtml(asg.mode)}`
+          : '-';
+        const variants = ['0', ...(test.possibleNonZeroVariants || [])];
+        const options = variants.map(v => {
+          const selected = asg?.assigned_variant === v ? ' selected' : '';
+          return `<option value="${escapeHtml(v)}"${selected}>${escapeHtml(v)}</option>`;
+        }).join('');
+        const force = `<select data-test="${escapeHtml(test.id)}">${options}</select>
+          <button data-action="force" data-test="${escapeHtml(test.id)}">force</button>`;
+
+        return [
+          escapeHtml(test.id) + (test.layer ? `<br>layer ${escapeHtml(test.layer)}` : ''),
+          escapeHtml(test.location),
+          eligible,
+          assignment,
+          escapeHtml(asg?.tested_variant ?? '-'),
+          force
+        ];
+      });
+      return table(['test', 'location', 'eligible', 'variant / type / mode', 'tested', ''], rows);
+    }
+
+    renderClasses(mgr) {
+      const classes = mgr?.appliedClasses || [];
+      if (classes.length === 0) {
+        return '<p class="ab-dbg-empty">none</p>';
+      }
+      return `<p>${classes.map(escapeHtml).join(' ')}</p>`;
+    }
+
+    async renderQueue() {
+      const reporter = this.reporter;
+      if (!reporter) {
+        return '<h4>Event queue</h4><p class="ab-dbg-empty">PostgresReporter not loaded</p>';
+      }
+      const hide = '<button data-action="toggle-queue">hide</button>';
+      // The queue storage (IndexedDB) isn't opened before consent
+      if (reporter.consent && !reporter.consent.hasConsent()) {
+        return `<h4>Event queue ${hide}</h4>
+          <p class="ab-dbg-empty">No analytics consent yet: ${reporter.consentBuffer?.length || 0} event(s) held in memory</p>`;
+      }
+      const queued = (await reporter.queueManager?.getAll() || []).map(r => r.event);
+      const sender = reporter.election?.isLeader ? 'this tab sends' : 'another tab sends';
+      const rows = queued.map(evt => [
+        escapeHtml(evt.data?.event_name),
+        escapeHtml(evt.data?.event_data?.test_id ?? ''),
+        escapeHtml(evt.data?.client_timestamp)
+      ]);
+      const failures = (reporter.sendFailures || []).slice().reverse().map(f => [
+        escapeHtml(new Date(f.at).toLocaleTimeString()),
+        escapeHtml(f.error)
+      ]);
+      const deadLetters = (reporter.queueManager?.getDeadLetters() || []).slice().reverse();
+      const deadRows = deadLetters.map(d => [
+        escapeHtml(new Date(d.at).toLocaleString()),
+        escapeHtml(d.event?.data?.event_name),
+        escapeHtml(d.status ?? ''),
+        // Full event on hover; the section re-renders every second
+        `<span title="${escapeHtml(JSON.stringify(d.event, null, 2))}">${escapeHtml(d.error)}</span>`
+      ]);
+      return `<h4>Event queue, all tabs (${queued.length}, ${sender}) ${hide}</h4>
+        ${table(['event', 'test', 'created'], rows)}
+        <h4>Send failures (${reporter.failedAttempts || 0} consecutive)</h4>
+        ${table(['when', 'error'], failures)}
+        <h4>Dead letters (${deadLetters.length})
+          ${deadLetters.length > 0 ? '<button data-action="clear-dead-letters">clear</button>' : ''}</h4>
+        ${table(['when', 'event', 'status', 'error'], deadRows)}`;
+    }
+
+    handleClick(e) {
+      const action = e.target?.getAttribute?.('data-action');
+      if (!action) return;
+      const am = this.assignmentManager;
+
+      if (action === 'toggle') {
+        this.root.classList.toggle('ab-dbg-collapsed');
+        this.render();
+      } else if (action === 'toggle-queue') {
+        this.queueOpen = !this.queueOpen;
+        this.render();
+      } else if (action === 'force') {
+        const testId = e.target.getAttribute('data-test');
+        const select = Array.from(this.root.querySelectorAll('select'))
+          .find(s => s.getAttribute('data-test') === testId);
+        am.setQaOverride(testId, select ? select.value : '0');
+        window.location.reload();
+      } else if (action === 'reset-qa') {
+        am.qaOverrides.clear();
+        am.persistQaOverrides();
+        window.location.reload();
+      } else if (action === 'clear-dead-letters') {
+        this.reporter?.queueManager?.clearDeadLetters();
+        this.refreshQueue();
+      } else if (action === 'clear-all') {
+        am.clearAll();
+        window.location.reload();
+      }
+    }
+  }
+
+  window.ABDebugPanel = ABDebugPanel;
+
+  if (!isEnabled()) {
+    return;
+  }
+
+  const panel = new ABDebugPanel();
+  window.abDebugPanel = panel;
+
+  const mount = () => panel.mount();
+  if (window.ABTestManager?.instance?.ready) {
+    mount();
+  } else {
+    window.addEventListener('abtesting:initialized', mount, { once: true });
+    // Still show the panel (with whatever is known) if AB testing never initializes
+    window.addEventListener('load', () => setTimeout(mount, 2000), { once: true });
+  }
+})();
\ No newline at end of file
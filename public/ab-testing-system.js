@@ -7,7 +7,8 @@
 
   // Check dependencies
   const checkDependencies = () => {
-    const required = ['TrackingCore', 'TestAssignment', 'AssignmentManager'];
+    // ABConfigSchema (config-schema.js) is optional: without it the config isn't validated
+    const required = ['TrackingCore', 'TestAssignment', 'AssignmentManager', 'ABBucketing'];
     const missing = required.filter(d => !window[d]);
     if (missing.length > 0) {
       console.error('Missing AB Testing deps:', missing);
@@ -21,6 +22,41 @@
     return;
   }
 
+  const DEFAULT_SALT = 'hw-abt';
+  const REDIRECT_KEY = 'hw-abt-redirect';
+
+  // Remote config (abTestingConfig.remoteConfig: { enabled, endpoint, timeout }).
+  // Only these fields come from /api/config; the rest stays with the theme.
+  const REMOTE_CONFIG_KEY = 'hw-abt-remote-config';
+  const REMOTE_CONFIG_FIELDS = ['tests', 'traffic', 'salt'];
+  const REMOTE_CONFIG_TIMEOUT = 1000;
+
+  // Config problems already reported as config_error events this session
+  const CONFIG_ERRORS_KEY = 'hw-abt-config-errors';
+
+  // max-age and stale-while-revalidate, in seconds
+  const parseCacheControl = (header) => {
+    const directive = (name) => {
+      const match = String(header || '').match(new RegExp(`${name}=(\\d+)`));
+      return match ? Number(match[1]) : 0;
+    };
+    return { maxAge: directive('max-age'), staleWhileRevalidate: directive('stale-while-revalidate') };
+  };
+
+  const getPath = (str) => {
+    try {
+      let url = new URL(str);
+      return url.pathname.replace(/\/+$/, '');
+    } catch (e) {
+      if (!str.startsWith('/')) {
+        str = '/' + str;
+      }
+      return str.replace(/\/+$/, '');
+    }
+  };
+
+  const { parseTimestamp } = ABBucketing;
+
   class ABTestManager {
     constructor() {
       if (ABTestManager.instance) {
@@ -39,12 +75,161 @@
     setupCore() {
       this.core = new TrackingCore();
       this.assignmentManager = new AssignmentManager();
-      // Use window.abTestingConfig (populated by our Liquid snippet)
-      this.settings = window.abTestingConfig || {};
+      // Use window.abTestingConfig (populated by our Liquid snippet). With
+      // remoteConfig enabled it is only the bootstrap: a cached or fetched
+      // remote config replaces its tests before initialize() reads them.
+      this.bootstrapSettings = window.abTestingConfig || {};
+      this.settings = this.bootstrapSettings;
+      this.configVersion = null;
+      this.configSource = 'theme';
+      this.configProblems = [];
+      // Problems are reported once initialize() validates the final settings
+      const checked = window.ABConfigSchema
+        ? ABConfigSchema.validateConfig(this.bootstrapSettings).config
+        : this.bootstrapSettings;
+      this.remoteOptions = checked.remoteConfig?.enabled
+        ? { ...checked.remoteConfig, apiEndpoint: checked.apiEndpoint }
+        : null;
+      if (this.remoteOptions) {
+        // Unchecked (no ABConfigSchema), the endpoint may not resolve
+        try {
+          this.remoteConfigUrl();
+        } catch (err) {
+          console.warn('Invalid remote config endpoint, using the theme config:', err.message);
+          this.remoteOptions = null;
+        }
+      }
+      this.configReady = this.remoteOptions ? this.loadRemoteConfig() : Promise.resolve();
+    }
+
+    remoteConfigUrl() {
+      const { endpoint, apiEndpoint } = this.remoteOptions;
+      const shop = window.Shopify?.shop || window.location.hostname;
+      // Defaults to /config next to the events endpoint. apiEndpoint may be
+      // given with or without /events, as PostgresReporter accepts both.
+      const base = apiEndpoint ? `${apiEndpoint.replace(/\/+$/, '').replace(/\/events$/, '')}/` : undefined;
+      const url = base ? new URL(endpoint || 'config', base) : new URL(endpoint);
+      url.searchParams.set('shop', shop);
+      return url.toString();
+    }
+
+    readCachedConfig(url) {
+      try {
+        const cached = JSON.parse(localStorage.getItem(REMOTE_CONFIG_KEY) || 'null');
+        return cached?.url === url && cached.config ? cached : null;
+      } catch (err) {
+        return null;
+      }
+    }
+
+    writeCachedConfig(entry) {
+      try {
+        localStorage.setItem(REMOTE_CONFIG_KEY, JSON.stringify(entry));
+      } catch (err) {
+        console.error('Failed to cache remote config:', err);
+      }
+    }
+
+    // Fresh cache: used as is. Stale but within stale-while-revalidate: used,
+    // and refreshed in the background for the next page. Otherwise fetched
+    // with a short timeout, falling back to the old cache, then the theme.
+    async loadRemoteConfig() {
+      const url = this.remoteConfigUrl();
+      const cached = this.readCachedConfig(url);
+      const age = cached ? (Date.now() - cached.fetchedAt) / 1000 : Infinity;
+
+      if (cached && age < cached.maxAge) {
+        this.applyRemoteConfig(cached, 'cache');
+        return;
+      }
+      if (cached && age < cached.maxAge + cached.staleWhileRevalidate) {
+        this.applyRemoteConfig(cached, 'cache');
+        this.fetchRemoteConfig(url, cached).catch(err => {
+          console.warn('Failed to refresh remote config:', err.message);
+        });
+        return;
+      }
+
+      try {
+        const timeout = Number(this.remoteOptions.timeout) || REMOTE_CONFIG_TIMEOUT;
+        const entry = await this.fetchRemoteConfig(url, cached, timeout);
+        if (entry) {
+          this.applyRemoteConfig(entry, 'remote');
+        }
+      } catch (err) {
+        console.warn(`Remote config unavailable, using the ${cached ? 'cached' : 'theme'} config:`, err.message);
+        if (cached) {
+          this.applyRemoteConfig(cached, 'cache');
+        }
+      }
+    }
+
+    // Resolves to the cache entry, or null when the shop has no remote config.
+    async fetchRemoteConfig(url, cached, timeout = null) {
+      const controller = new AbortController();
+      const timer = timeout ? setTimeout(() => controller.abort(), timeout) : null;
+      try {
+        const response = await fetch(url, {
+          headers: cached?.etag ? { 'If-None-Match': cached.etag } : {},
+          signal: controller.signal
+        });
+        const cacheControl = parseCacheControl(response.headers.get('Cache-Control'));
+
+        if (response.status === 304 && cached) {
+          const entry = { ...cached, ...cacheControl, fetchedAt: Date.now() };
+          this.writeCachedConfig(entry);
+          return entry;
+        }
+        if (response.status === 404) {
+          console.warn(`No remote config at ${url}, using the theme config`);
+          localStorage.removeItem(REMOTE_CONFIG_KEY);
+          return null;
+        }
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+
+        const doc = await response.json();
+        const entry = {
+          url,
+          etag: response.headers.get('ETag'),
+          version: doc.version,
+          config: doc.config,
+          fetchedAt: Date.now(),
+          ...cacheControl
+        };
+        this.writeCachedConfig(entry);
+        return entry;
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+
+    mergeRemoteConfig(config) {
+      const remote = {};
+      REMOTE_CONFIG_FIELDS.forEach(field => {
+        if (config[field] !== undefined) {
+          remote[field] = config[field];
+        }
+      });
+      return { ...this.bootstrapSettings, ...remote };
+    }
+
+    applyRemoteConfig(entry, source) {
+      this.settings = this.mergeRemoteConfig(entry.config);
+      this.configVersion = entry.version ?? null;
+      this.configSource = source;
     }
 
     setupState() {
       this.allTests = [];
+      this.configuredTests = [];
+      this.appliedClasses = [];
+      this.appliedAssignments = [];
+      this.newAssignmentIds = new Set();
+      this.endedTestIds = [];
+      this.eligibility = {};
+      this.deviceClass = this.core.getDeviceClass();
       const { userId, sessionId } = this.core.getTrackingIds();
       this.userId = userId;
       this.sessionId = sessionId;
@@ -52,17 +237,32 @@
 
     async initialize() {
       try {
-        // Clean up old assignments
-        this.assignmentManager.cleanup();
-    
-        // 1) Gather tests from settings
+        // 1) Gather tests from settings, once any remote config is in
+        await this.configReady;
+        window.postgresReporter?.setContext({ config_version: this.configVersion });
+        this.validateSettings();
         await this.loadActiveTestsFromSettings();
+
+        // Clean up old assignments, including those of tests that have ended
+        this.assignmentManager.cleanup(this.endedTestIds);
+
+        // Drop tests this visitor isn't eligible for (device, audience)
+        await this.filterEligibleTests();
     
         // 2) Assign variants
         this.assignAllGroups();
+
+        // Redirect tests leave the page before anything is applied
+        if (await this.redirectIfNeeded()) {
+          return true;
+        }
     
-        // 3) Apply classes to <body>
+        // 3) Apply classes to <body>, then any DOM changes the variants carry
         this.applyAssignments();
+        this.applyVariantChanges();
+
+        // Lift the anti-flicker guard as soon as the classes are in place
+        this.revealPage();
     
         // Persist the updated assignments
         this.assignmentManager.persist();
@@ -74,18 +274,106 @@
         return true;
       } catch (err) {
         console.error('Failed to initialize:', err);
+        window.abAntiFlicker?.reveal('error');
         return false;
       }
     }
 
+    // Shows the page if the anti-flicker guard is up and records, per test
+    // applied on this page, how long it took and whether the guard timed out.
+    // Without the guard the time is measured from navigation start.
+    revealPage() {
+      const guard = window.abAntiFlicker;
+      guard?.reveal('applied');
+
+      const reporter = window.postgresReporter;
+      if (!reporter) {
+        return;
+      }
+      const applyMs = guard
+        ? guard.elapsed()
+        : Math.round(window.performance?.now ? performance.now() : 0);
+      this.appliedAssignments.forEach(a => {
+        try {
+          const evt = reporter.createEventPayload('variant_applied', 'system', {
+            test_id: a.testId,
+            assigned_variant: a.assigned_variant,
+            page_group: a.pageGroup,
+            apply_ms: applyMs,
+            anti_flicker: Boolean(guard),
+            timed_out: guard ? guard.timedOut : false,
+            timeout_ms: guard ? guard.timeout : null
+          });
+          reporter.queueEvent(evt).catch(err => {
+            console.error('Failed to queue apply timing:', err);
+          });
+        } catch (err) {
+          console.error('Failed to track apply timing:', err);
+        }
+      });
+    }
+
+    // Drops invalid tests, traffic entries and endpoints before anything
+    // reads them, and reports each problem.
+    validateSettings() {
+      if (!window.ABConfigSchema) {
+        console.warn('AB testing config not validated: load config-schema.js before ab-testing-system.js');
+        return;
+      }
+      const { config, problems } = ABConfigSchema.validateConfig(this.settings);
+      this.settings = config;
+      this.configProblems = problems;
+      problems.forEach(problem => this.reportConfigProblem(problem));
+    }
+
+    reportConfigProblem(problem) {
+      console.warn(`AB testing config: ${problem.entry} ${problem.action}`, problem);
+
+      const reporter = window.postgresReporter;
+      const signature = [this.configVersion, problem.entry, ...problem.errors.map(e => e.message)].join('|');
+      if (!reporter || !this.markConfigProblemReported(signature)) {
+        return;
+      }
+      try {
+        const evt = reporter.createEventPayload('config_error', 'system', {
+          test_id: problem.test_id,
+          entry: problem.entry,
+          action: problem.action,
+          errors: problem.errors.map(({ path, message }) => ({ path, message })),
+          config_source: this.configSource
+        });
+        reporter.queueEvent(evt).catch(err => {
+          console.error('Failed to queue config error:', err);
+        });
+      } catch (err) {
+        console.error('Failed to track config error:', err);
+      }
+    }
+
+    // False when this problem was already reported in this session.
+    markConfigProblemReported(signature) {
+      try {
+        const reported = JSON.parse(sessionStorage.getItem(CONFIG_ERRORS_KEY) || '[]');
+        if (reported.includes(signature)) {
+          return false;
+        }
+        reported.push(signature);
+        sessionStorage.setItem(CONFIG_ERRORS_KEY, JSON.stringify(reported.slice(-50)));
+      } catch (err) {
+        console.error('Failed to record config error:', err);
+      }
+      return true;
+    }
+
     loadActiveTestsFromSettings() {
       try {
-        // Get tests from window.abTestingConfig.tests (populated by Liquid)
+        // Get tests from window.abTestingConfig.tests (populated by Liquid),
+        // or the remote config; validateSettings() has dropped invalid ones
         const tests = this.settings.tests || [];
 
         // Map each test into a standardized object.
         // For page-specific tests, if a URL is provided, we use that as the location.
-        this.allTests = tests.map(test => {
+        const mapped = tests.map(test => {
           // Force modeValue to be a string so we can use startsWith()
           const modeValue = String(test.mode || 'test');
           let forcedVariant = null;
@@ -107,6 +395,8 @@
             location = test.page_specific_url;
           }
 
+          const possibleNonZeroVariants = [...Array(test.variantsCount || 1)].map((_, i) => String(i + 1));
+
           return {
             id: test.id,
             mode: testMode,
@@ -114,30 +404,157 @@
             location,
             originalLocation,
             device: test.device || 'both',
-            possibleNonZeroVariants: [...Array(test.variantsCount || 1)].map((_, i) => String(i + 1))
+            audience: test.audience || null,
+            layer: test.layer ? String(test.layer) : null,
+            type: test.type === 'redirect' ? 'redirect' : 'classes',
+            variants: test.variants || null,
+            possibleNonZeroVariants,
+            weights: this.normalizeWeights(test, possibleNonZeroVariants),
+            startAt: this.parseScheduleBound(test, 'start_at'),
+            endAt: this.parseScheduleBound(test, 'end_at')
           };
         });
+
+        this.configuredTests = mapped;
+
+        // Tests outside their start_at / end_at window are inactive.
+        const now = Date.now();
+        this.eligibility = {};
+        this.endedTestIds = [];
+        this.allTests = mapped.filter(t => {
+          const qaForced = this.assignmentManager.getQaOverride(t.id) !== null;
+          if (t.endAt !== null && now >= t.endAt) {
+            this.endedTestIds.push(t.id);
+            this.eligibility[t.id] = { eligible: false, reason: 'schedule', detail: 'ended' };
+            return false;
+          }
+          // QA can preview a test before it starts
+          if (t.startAt !== null && now < t.startAt && !qaForced) {
+            this.eligibility[t.id] = { eligible: false, reason: 'schedule', detail: 'not started' };
+            return false;
+          }
+          return true;
+        });
       } catch (err) {
         console.error('Error loading tests:', err);
       }
     }
 
+    parseScheduleBound(test, field) {
+      const ms = parseTimestamp(test[field]);
+      if (Number.isNaN(ms)) {
+        console.warn(`Invalid ${field} for test ${test.id}, ignoring:`, test[field]);
+        return null;
+      }
+      return ms;
+    }
+
+    // Weights line up with possibleNonZeroVariants and are normalized to sum to 1.
+    // Anything malformed falls back to an even split.
+    normalizeWeights(test, variants) {
+      const weights = ABBucketing.normalizeWeights(test.weights, variants.length);
+      if (!weights) {
+        console.warn(`Invalid weights for test ${test.id}, using an even split:`, test.weights);
+        return variants.map(() => 1 / variants.length);
+      }
+      return weights;
+    }
+
+    // Ineligible tests are removed from allTests entirely, so they get no
+    // assignment (not even control), no body classes and no tracking.
+    // The reason is kept in this.eligibility for debugging.
+    async filterEligibleTests() {
+      const audience = await this.loadAudienceContext();
+
+      this.allTests = this.allTests.filter(test => {
+        // QA overrides bypass targeting so any variant can be checked anywhere
+        if (this.assignmentManager.getQaOverride(test.id) !== null) {
+          this.eligibility[test.id] = { eligible: true, detail: 'QA override' };
+          return true;
+        }
+
+        if (!this.matchesDevice(test.device)) {
+          this.eligibility[test.id] = {
+            eligible: false,
+            reason: 'device',
+            detail: `${this.deviceClass} not in "${test.device}"`
+          };
+          return false;
+        }
+
+        if (test.audience) {
+          if (!audience) {
+            this.eligibility[test.id] = {
+              eligible: false,
+              reason: 'audience',
+              detail: 'AudienceTargeting not loaded'
+            };
+            return false;
+          }
+          const result = audience.evaluate(test.audience);
+          if (!result.matched) {
+            this.eligibility[test.id] = {
+              eligible: false,
+              reason: 'audience',
+              detail: audience.describe(result.failed),
+              failed: result.failed
+            };
+            return false;
+          }
+        }
+
+        this.eligibility[test.id] = { eligible: true };
+        return true;
+      });
+    }
+
+    // Only built when some test has an audience block.
+    async loadAudienceContext() {
+      const audienceTests = this.allTests.filter(t => t.audience);
+      if (audienceTests.length === 0 || !window.AudienceTargeting) {
+        return null;
+      }
+      try {
+        this.audience = this.audience || new AudienceTargeting({ core: this.core, settings: this.settings });
+        const needsCart = audienceTests.some(t => this.audience.usesCart(t.audience));
+        await this.audience.loadContext({ needsCart });
+        return this.audience;
+      } catch (err) {
+        console.error('Failed to load audience context:', err);
+        return null;
+      }
+    }
+
+    // "both"/"all" match every device; otherwise a comma-separated list of
+    // device classes, e.g. "mobile" or "mobile,tablet".
+    matchesDevice(device) {
+      const value = String(device || 'both').toLowerCase();
+      if (value === 'both' || value === 'all') {
+        return true;
+      }
+      return value.split(',').map(d => d.trim()).includes(this.deviceClass);
+    }
+
+    // Tests are grouped by their resolved location, then split into layers.
+    // Tests in the same layer are mutually exclusive; different layers are
+    // bucketed independently. Tests without a layer share the page group's
+    // default slot, as before.
     assignAllGroups() {
-      const groupMap = {};
+      const slotMap = {};
       this.allTests.forEach(t => {
-        // Group tests by their resolved location.
-        const g = t.location;
-        groupMap[g] = groupMap[g] || [];
-        groupMap[g].push(t);
+        const slot = t.layer ? `${t.location}/${t.layer}` : t.location;
+        slotMap[slot] = slotMap[slot] || { group: t.location, layer: t.layer, tests: [] };
+        slotMap[slot].tests.push(t);
       });
 
-      Object.keys(groupMap).forEach(group => {
-        const testsInGroup = groupMap[group];
-        this.assignGroup(group, testsInGroup);
+      Object.keys(slotMap).forEach(slot => {
+        const { group, layer, tests } = slotMap[slot];
+        this.assignGroup(group, tests, layer);
       });
     }
 
-    assignGroup(group, tests) {
+    assignGroup(group, tests, layer = null) {
+      const slot = layer ? `${group}/${layer}` : group;
       const forcedTests = tests.filter(t => t.mode === 'forced');
       const unforcedTests = tests.filter(t => t.mode === 'test');
 
@@ -175,10 +592,14 @@
         }
       }
 
+      // Bucketing is a pure function of (salt, user, group, test), so the same
+      // identity always lands in the same place. Raising traffic only adds
+      // users whose bucket falls inside the wider range.
       const fraction = traffic / 100;
-      const rng = Math.random();
+      // Every unforced test in the slot is equally likely to win it
+      const allocation = t => this.allocationMap(t, fraction / unforcedTests.length);
 
-      if (rng >= fraction) {
+      if (this.bucket('traffic', slot) >= fraction) {
         // User not in experiment: assign control variant.
         unforcedTests.forEach(t => {
           const assignmentData = {
@@ -186,25 +607,28 @@
             tested_variant: '0',
             type: 'control',
             mode: 'pure-control',
-            pageGroup: group
+            pageGroup: group,
+            weights: this.weightMap(t),
+            allocation: allocation(t)
           };
           this.setOrKeepAssignment(t, assignmentData);
         });
       } else {
         // User in experiment: choose one test to run a non-control variant.
-        const chosenIndex = Math.floor(Math.random() * unforcedTests.length);
-        unforcedTests.forEach((testObj, idx) => {
-          if (idx === chosenIndex) {
-            const arr = testObj.possibleNonZeroVariants || ['1'];
-            const pick2 = Math.floor(Math.random() * arr.length);
-            const finalVar = arr[pick2];
+        // Highest-score wins, so adding a test only moves the users it now wins.
+        const chosen = this.pickTest(slot, unforcedTests);
+        unforcedTests.forEach(testObj => {
+          if (testObj === chosen) {
+            const finalVar = this.pickVariant(group, testObj);
 
             const assignmentData = {
               assigned_variant: finalVar,
               tested_variant: finalVar,
               type: 'test',
               mode: 'probabilistic',
-              pageGroup: group
+              pageGroup: group,
+              weights: this.weightMap(testObj),
+              allocation: allocation(testObj)
             };
             this.setOrKeepAssignment(testObj, assignmentData);
           } else {
@@ -213,7 +637,9 @@
               tested_variant: '0',
               type: 'control',
               mode: 'excluded',
-              pageGroup: group
+              pageGroup: group,
+              weights: this.weightMap(testObj),
+              allocation: allocation(testObj)
             };
             this.setOrKeepAssignment(testObj, assignmentData);
           }
@@ -221,37 +647,85 @@
       }
     }
 
+    // Deterministic position in [0, 1) for the current user (see bucketing.js).
+    bucket(...parts) {
+      return ABBucketing.bucket(this.salt, this.userId, ...parts);
+    }
+
+    pickTest(slot, tests) {
+      return ABBucketing.pickTest(this.salt, this.userId, slot, tests);
+    }
+
+    pickVariant(group, testObj) {
+      return ABBucketing.pickVariant(this.salt, this.userId, group, testObj);
+    }
+
+    get salt() {
+      return this.settings.salt || DEFAULT_SALT;
+    }
+
+    // Weights in effect, keyed by variant, as stored on the assignment.
+    weightMap(testObj) {
+      const map = {};
+      (testObj.possibleNonZeroVariants || []).forEach((v, i) => {
+        map[v] = testObj.weights ? testObj.weights[i] : null;
+      });
+      return map;
+    }
+
+    // Expected share of users per variant, given the share of users for
+    // whom this test runs. Stored on the assignment so the server can check
+    // the observed split against it (sample ratio mismatch).
+    allocationMap(testObj, share) {
+      const variants = testObj.possibleNonZeroVariants || ['1'];
+      const weights = testObj.weights || variants.map(() => 1 / variants.length);
+      const map = {};
+      let shown = 0;
+      variants.forEach((v, i) => {
+        const p = share * (weights[i] || 0);
+        map[v] = Number(p.toFixed(6));
+        shown += p;
+      });
+      map['0'] = Number(Math.max(0, 1 - shown).toFixed(6));
+      return map;
+    }
+
     // Check for an existing valid assignment before setting a new one.
     setOrKeepAssignment(testObj, data) {
+      // A QA override (?ab_force=) shadows the real assignment without replacing it
+      const qaVariant = this.assignmentManager.getQaOverride(testObj.id);
+      if (qaVariant !== null) {
+        this.assignmentManager.setQaAssignment(testObj.id, {
+          assigned_variant: qaVariant,
+          tested_variant: qaVariant,
+          type: qaVariant === '0' ? 'control' : 'test',
+          pageGroup: data.pageGroup,
+          layer: testObj.layer,
+          endsAt: testObj.endAt
+        });
+        return;
+      }
+
       const existingAssignment = this.assignmentManager.getAssignment(testObj.id);
       if (existingAssignment) {
-        // Keep existing assignment
+        // Keep existing assignment, but follow config changes to its end date and layer.
+        // The allocation stays the one the user was bucketed under; assignments
+        // made before allocations were recorded keep none, so SRM skips them.
+        existingAssignment.endsAt = testObj.endAt;
+        existingAssignment.layer = testObj.layer;
       } else {
-        this.assignmentManager.setAssignment(testObj.id, data);
+        this.assignmentManager.setAssignment(testObj.id, {
+          ...data,
+          endsAt: testObj.endAt,
+          layer: testObj.layer
+        });
+        this.newAssignmentIds.add(testObj.id);
       }
     }
 
-    // Apply assignments by adding corresponding body classes.
-    applyAssignments() {
-      if (!document.body) {
-        console.warn('No document.body');
-        return;
-      }
-
-      let currentTemplate = document.body.getAttribute('data-template');
-
-      const getPath = (str) => {
-        try {
-          let url = new URL(str);
-          return url.pathname.replace(/\/+$/, '');
-        } catch (e) {
-          if (!str.startsWith('/')) {
-            str = '/' + str;
-          }
-          return str.replace(/\/+$/, '');
-        }
-      };
-
+    // Resolves the template and normalized path of the current page.
+    resolveCurrentPage() {
+      let currentTemplate = document.body?.getAttribute('data-template');
       const currentPath = getPath(window.location.href);
 
       if (!currentTemplate) {
@@ -274,7 +748,20 @@
         }
       }
 
-      const standardGroups = ['global', currentTemplate];
+      return { template: currentTemplate, path: currentPath };
+    }
+
+    // Whether the assignment's page group covers the given page.
+    isOnPage(assignment, template, path) {
+      if (['global', template].includes(assignment.pageGroup)) {
+        return true;
+      }
+      return getPath(assignment.pageGroup) === path;
+    }
+
+    // Valid assignments of active tests that target the current page.
+    getAssignmentsForCurrentPage() {
+      const { template: currentTemplate, path: currentPath } = this.resolveCurrentPage();
 
       // Get all valid assignments.
       const assts = this.assignmentManager.getAllAssignments() || [];
@@ -289,27 +776,253 @@
           return false;
         }
         // Then check if it's relevant to the current page
-        if (standardGroups.includes(a.pageGroup)) {
-          return true;
-        }
-        return getPath(a.pageGroup) === currentPath;
+        return this.isOnPage(a, currentTemplate, currentPath);
       });
+      return toApply;
+    }
+
+    // Apply assignments by adding corresponding body classes.
+    applyAssignments() {
+      if (!document.body) {
+        console.warn('No document.body');
+        return;
+      }
+
+      const toApply = this.getAssignmentsForCurrentPage();
 
       const prefix = 'ab';
+      const added = new Set();
       // For every assignment that is applied, add the corresponding body class.
       toApply.forEach(a => {
-        if (a.assigned_variant !== '0') {
-          document.body.classList.add(
-            `${prefix}-active`,
-            `${prefix}-${a.testId}`,
-            `${prefix}-${a.testId}-${a.assigned_variant}`
-          );
-        } else {
-          document.body.classList.add(`${prefix}-${a.testId}-0`);
+        const classes = a.assigned_variant !== '0'
+          ? [`${prefix}-active`, `${prefix}-${a.testId}`, `${prefix}-${a.testId}-${a.assigned_variant}`]
+          : [`${prefix}-${a.testId}-0`];
+        document.body.classList.add(...classes);
+        classes.forEach(c => added.add(c));
+      });
+      this.appliedClasses = Array.from(added);
+      this.appliedAssignments = toApply;
+    }
+
+    // Split-URL tests: a variant maps to { url: '/pages/landing-b' } or to an
+    // alternate template { view: 'alt' }. The visitor's query string (UTMs
+    // included) is carried over. Returns true when the page is being left.
+    async redirectIfNeeded() {
+      try {
+        const candidates = this.getAssignmentsForCurrentPage().filter(a => {
+          const test = this.allTests.find(t => t.id === a.testId);
+          return test?.type === 'redirect' && a.assigned_variant !== '0';
+        });
+
+        for (const a of candidates) {
+          const test = this.allTests.find(t => t.id === a.testId);
+          const isNew = this.newAssignmentIds.has(a.testId);
+          if (await this.redirectTo(a, test.variants?.[a.assigned_variant], isNew)) {
+            return true;
+          }
+        }
+      } catch (err) {
+        console.error('Failed to run redirect test:', err);
+      }
+      return false;
+    }
+
+    // Returning visitors of a redirect test leave before anything waits for
+    // <body>, the remote config or audience data: the theme settings (or a
+    // usable cached remote config) and the stored assignment are enough.
+    // First visits and audience-targeted tests go through initialize().
+    async redirectEarly() {
+      try {
+        const early = this.readEarlySettings();
+        if (!early) {
+          return false;
+        }
+        const { template, path } = this.resolveCurrentPage();
+        const tests = Array.isArray(early.settings.tests) ? early.settings.tests : [];
+
+        for (const test of tests) {
+          if (!this.canRedirectEarly(test)) {
+            continue;
+          }
+          const a = this.assignmentManager.getAssignment(String(test.id));
+          if (!a || a.assigned_variant === '0' || !this.isOnPage(a, template, path)) {
+            continue;
+          }
+          window.postgresReporter?.setContext({ config_version: early.version });
+          if (await this.redirectTo(a, test.variants?.[a.assigned_variant], false)) {
+            return true;
+          }
         }
+      } catch (err) {
+        console.error('Failed to run early redirect:', err);
+      }
+      return false;
+    }
+
+    // What configReady would settle on, when it is known without a fetch:
+    // the theme settings, or a cached remote config that is still fresh or
+    // within stale-while-revalidate. Null otherwise.
+    readEarlySettings() {
+      if (!this.remoteOptions) {
+        return { settings: this.bootstrapSettings, version: null };
+      }
+      const cached = this.readCachedConfig(this.remoteConfigUrl());
+      const age = cached ? (Date.now() - cached.fetchedAt) / 1000 : Infinity;
+      if (!cached || age >= cached.maxAge + cached.staleWhileRevalidate) {
+        return null;
+      }
+      return { settings: this.mergeRemoteConfig(cached.config), version: cached.version ?? null };
+    }
+
+    // The checks initialize() would run, minus those needing data that isn't
+    // there yet (audience) or a full assignment pass (QA overrides).
+    canRedirectEarly(test) {
+      if (test?.type !== 'redirect' || test.audience) {
+        return false;
+      }
+      if (window.ABConfigSchema && ABConfigSchema.validateTest(test, 'test').length > 0) {
+        return false;
+      }
+      if (this.assignmentManager.getQaOverride(test.id) !== null) {
+        return false;
+      }
+      const now = Date.now();
+      const startAt = parseTimestamp(test.start_at);
+      const endAt = parseTimestamp(test.end_at);
+      if ((startAt !== null && now < startAt) || (endAt !== null && now >= endAt)) {
+        return false;
+      }
+      return this.matchesDevice(test.device);
+    }
+
+    // Leaves for the variant's URL unless that would loop. True when leaving.
+    async redirectTo(a, variant, isNewAssignment) {
+      const target = this.buildRedirectUrl(variant);
+      if (!target || this.isRedirectLoop(target)) {
+        return false;
+      }
+
+      const originalUrl = window.location.href;
+      this.recordRedirect(a.testId, originalUrl, target.href);
+      await window.postgresReporter?.trackRedirect(a, {
+        originalUrl,
+        redirectUrl: target.href,
+        isNewAssignment
+      });
+      window.location.replace(target.href);
+      return true;
+    }
+
+    buildRedirectUrl(variant) {
+      if (!variant || (!variant.url && !variant.view)) {
+        return null;
+      }
+      const current = new URL(window.location.href);
+      const target = variant.url ? new URL(variant.url, current.origin) : new URL(current.href);
+
+      if (target.origin !== current.origin) {
+        console.warn('Ignoring cross-origin redirect target:', variant.url);
+        return null;
+      }
+      if (variant.view) {
+        target.searchParams.set('view', variant.view);
+      }
+      // Keep the visitor's query string; parameters set by the target win
+      current.searchParams.forEach((value, key) => {
+        if (!target.searchParams.has(key)) {
+          target.searchParams.set(key, value);
+        }
+      });
+      if (!target.hash) {
+        target.hash = current.hash;
+      }
+      return target;
+    }
+
+    // Never redirect to where we already are, never bounce straight back to the
+    // page we just redirected away from, and cap redirect chains.
+    isRedirectLoop(target) {
+      const current = new URL(window.location.href);
+      const samePage = (a, b) => getPath(a.href) === getPath(b.href)
+        && a.searchParams.get('view') === b.searchParams.get('view');
+      if (samePage(target, current)) {
+        return true;
+      }
+
+      let history = [];
+      try {
+        history = JSON.parse(sessionStorage.getItem(REDIRECT_KEY) || '[]');
+      } catch (e) {
+        history = [];
+      }
+      const recent = history.filter(r => Date.now() - r.at < 30000);
+      if (recent.some(r => samePage(new URL(r.from), target))) {
+        console.warn('Skipping redirect back to', target.href);
+        return true;
+      }
+      return recent.length >= 3;
+    }
+
+    recordRedirect(testId, from, to) {
+      try {
+        const history = JSON.parse(sessionStorage.getItem(REDIRECT_KEY) || '[]')
+          .filter(r => Date.now() - r.at < 30000);
+        history.push({ testId, from, to, at: Date.now() });
+        sessionStorage.setItem(REDIRECT_KEY, JSON.stringify(history));
+      } catch (err) {
+        console.error('Failed to record redirect:', err);
+      }
+    }
+
+    // Runs the declarative changes of every variant applied on this page.
+    // Failures (e.g. a selector that never matches) become diagnostic events.
+    applyVariantChanges() {
+      const withChanges = this.appliedAssignments
+        .map(a => {
+          const test = this.allTests.find(t => t.id === a.testId);
+          const changes = test?.variants?.[a.assigned_variant]?.changes;
+          return Array.isArray(changes) && changes.length > 0 ? { a, changes } : null;
+        })
+        .filter(Boolean);
+
+      if (withChanges.length === 0) {
+        return;
+      }
+      if (!window.VariantChanges) {
+        console.warn('Variant changes configured but VariantChanges is not loaded');
+        return;
+      }
+
+      this.variantChanges = this.variantChanges || new VariantChanges({
+        onError: (failure) => this.trackVariantChangeError(failure)
+      });
+      withChanges.forEach(({ a, changes }) => {
+        this.variantChanges.apply(a.testId, a.assigned_variant, changes);
       });
     }
 
+    trackVariantChangeError(failure) {
+      const reporter = window.postgresReporter;
+      if (!reporter) {
+        return;
+      }
+      try {
+        const evt = reporter.createEventPayload('variant_change_error', 'system', {
+          test_id: failure.testId,
+          assigned_variant: failure.variant,
+          change_index: failure.index,
+          action: failure.action,
+          selector: failure.selector,
+          error: failure.error
+        });
+        reporter.queueEvent(evt).catch(err => {
+          console.error('Failed to queue variant change error:', err);
+        });
+      } catch (err) {
+        console.error('Failed to track variant change error:', err);
+      }
+    }
+
     // Dedicated function to track exposure events separate from assignment creation.
     async trackExposureEvents() {
       try {
@@ -351,15 +1064,24 @@
 
   const initSystem = async () => {
     try {
-      await waitForDeps();
+      // Nothing here needs <body>; redirect tests shouldn't wait for it
       const mgr = new ABTestManager();
+      if (await mgr.redirectEarly()) {
+        return;
+      }
+      await waitForDeps();
       const ok = await mgr.initialize();
+      mgr.ready = true;
+      window.dispatchEvent(new CustomEvent('abtesting:initialized', { detail: { ok } }));
     } catch (err) {
       console.error('Failed to init AB Testing System:', err);
+      window.abAntiFlicker?.reveal('error');
     }
   };
 
   if (window.abTestingConfig?.enabled) {
     initSystem();
+  } else {
+    window.abAntiFlicker?.reveal('disabled');
   }
 })();
\ No newline at end of file
@@ -0,0 +1,80 @@
+/* Anti-flicker guard
+   Hides the page (or just the regions under test) until ABTestManager has
+   applied its body classes, with a hard timeout so the page always shows.
+   Load synchronously in <head>, right after window.abTestingConfig is set:
+     antiFlicker: { enabled: true, timeout: 2000, selectors: ['.hero', '.product-form'] }
+   Without selectors the whole page is hidden.
+   Dependencies: none */
+
+(() => {
+  if (window.ABAntiFlicker) {
+    console.warn('Anti-flicker already loaded');
+    return;
+  }
+
+  const HIDE_CLASS = 'ab-anti-flicker';
+  const STYLE_ID = 'ab-anti-flicker-style';
+  const DEFAULT_TIMEOUT = 2000;
+
+  const now = () => (window.performance?.now ? performance.now() : Date.now());
+
+  class ABAntiFlicker {
+    constructor(config = {}) {
+      const selectors = Array.isArray(config.selectors) ? config.selectors.filter(Boolean) : [];
+      this.selectors = selectors.length > 0 ? selectors : ['body'];
+      this.timeout = Number(config.timeout) > 0 ? Number(config.timeout) : DEFAULT_TIMEOUT;
+      this.startedAt = now();
+      this.revealedAt = null;
+      this.revealReason = null;
+      this.timedOut = false;
+
+      this.hide();
+      this.timer = setTimeout(() => this.reveal('timeout'), this.timeout);
+    }
+
+    hide() {
+      try {
+        const rules = this.selectors.map(s => `html.${HIDE_CLASS} ${s}`).join(',\n');
+        const style = document.createElement('style');
+        style.id = STYLE_ID;
+        style.textContent = `${rules} { opacity: 0 !important; }`;
+        (document.head || document.documentElement).appendChild(style);
+        document.documentElement.classList.add(HIDE_CLASS);
+      } catch (err) {
+        console.error('Failed to apply anti-flicker:', err);
+      }
+    }
+
+    // Safe to call more than once; only the first call counts.
+    reveal(reason = 'applied') {
+      if (this.revealedAt !== null) {
+        return;
+      }
+      clearTimeout(this.timer);
+      this.revealedAt = now();
+      this.revealReason = reason;
+      this.timedOut = reason === 'timeout';
+      try {
+        document.documentElement.classList.remove(HIDE_CLASS);
+        document.getElementById(STYLE_ID)?.remove();
+      } catch (err) {
+        console.error('Failed to remove anti-flicker:', err);
+      }
+      if (this.timedOut) {
+        console.warn(`AB testing did not apply within ${this.timeout}ms, showing page`);
+      }
+    }
+
+    // Milliseconds from the guard going up until now.
+    elapsed() {
+      return Math.round(now() - this.startedAt);
+    }
+  }
+
+  window.ABAntiFlicker = ABAntiFlicker;
+
+  const config = window.abTestingConfig;
+  if (config?.enabled && config.antiFlicker?.enabled) {
+    window.abAntiFlicker = new ABAntiFlicker(config.antiFlicker);
+  }
+})();
\ No newline at end of file
@@ -11,6 +11,14 @@
   // Add preview mode detection
   const isPreviewMode = () => window.location?.hostname?.indexOf('myshopify') > -1;
  
+  const QA_MODE = 'qa-forced';
+ 
+  // Cart attribute carrying the test context into orders. The leading
+  // underscore keeps it out of the checkout UI.
+  const CART_ATTRIBUTE = '_ab_tests';
+  const CART_SCHEMA_VERSION = '1';
+  const CART_SYNC_DELAY = 1000;
+ 
   class TestAssignment {
     constructor(testId, data) {
       try {
@@ -21,6 +29,10 @@
         this.timestamp = Date.now();
         this.tested_variant = data.tested_variant !== undefined ? data.tested_variant : null;
         this.assigned_variant = data.assigned_variant;
+        this.weights = data.weights || null;
+        this.allocation = data.allocation || null;
+        this.endsAt = data.endsAt || null;
+        this.layer = data.layer || null;
       } catch (err) {
         console.error('Failed to create assignment:', err);
         throw err;
@@ -42,7 +54,8 @@
         const required = ['testId', 'assigned_variant', 'type', 'mode', 'pageGroup', 'timestamp'];
         const hasAll = required.every(f => this[f] !== undefined);
         const notExpired = (Date.now() - this.timestamp) < (30 * 24 * 60 * 60 * 1000);
-        return hasAll && notExpired;
+        const notEnded = !this.endsAt || Date.now() < this.endsAt;
+        return hasAll && notExpired && notEnded;
       } catch(err) {
         console.error('Validation error:', err);
         return false;
@@ -57,7 +70,11 @@
         pageGroup: this.pageGroup,
         timestamp: this.timestamp,
         assigned_variant: this.assigned_variant,
-        tested_variant: this.tested_variant
+        tested_variant: this.tested_variant,
+        weights: this.weights,
+        allocation: this.allocation,
+        endsAt: this.endsAt,
+        layer: this.layer
       };
     }
  
@@ -68,7 +85,10 @@
         mode: this.mode,
         group: this.pageGroup,
         tested_variant: this.tested_variant,
-        assigned_variant: this.assigned_variant
+        assigned_variant: this.assigned_variant,
+        weights: this.weights,
+        allocation: this.allocation,
+        layer: this.layer
       };
     }
  
@@ -108,19 +128,144 @@
       }
       this.STORAGE_KEYS = {
         assignments: 'hw-abt-assignments',
-        activeTests: 'pg_active_tests'
+        activeTests: 'pg_active_tests',
+        qaOverrides: 'hw-abt-qa-overrides',
+        cartSync: 'hw-abt-cart-sync'
       };
+      this.cartSyncTimer = null;
       this.assignments = new Map();
+      // QA overrides live in sessionStorage and never touch the real assignments
+      this.qaOverrides = new Map();
+      this.qaAssignments = new Map();
       this.core = new TrackingCore();
+      // The cart attribute carries the visitor IDs, so it follows consent too
+      this.core.consent.onChange(granted => {
+        if (granted) {
+          this.scheduleCartSync();
+        } else {
+          this.clearCartAttribute();
+        }
+      });
       
       // Only load from storage if not in preview mode
       if (!isPreviewMode()) {
         this.loadFromStorage();
       }
+      // QA overrides apply in preview mode too; that's how variants get
+      // checked on the myshopify domain without changing theme settings.
+      this.loadQaOverrides();
+      this.applyQueryOverrides();
       
       this.persist();
     }
  
+    loadQaOverrides() {
+      try {
+        const stored = sessionStorage.getItem(this.STORAGE_KEYS.qaOverrides);
+        if (stored) {
+          Object.entries(JSON.parse(stored)).forEach(([tid, variant]) => {
+            this.qaOverrides.set(tid, String(variant));
+          });
+        }
+      } catch (err) {
+        console.error('Failed to load QA overrides:', err);
+      }
+    }
+ 
+    // ?ab_force=<testId>:<variant>[,<testId>:<variant>] forces variants for this
+    // browser session only; ?ab_reset=1 clears the overrides and stored assignments.
+    applyQueryOverrides() {
+      try {
+        const params = new URLSearchParams(window.location.search);
+        if (!params.has('ab_force') && !params.has('ab_reset')) {
+          return;
+        }
+ 
+        if (params.get('ab_reset') === '1') {
+          this.clearAll();
+        }
+ 
+        params.getAll('ab_force')
+          .flatMap(v => v.split(','))
+          .forEach(pair => {
+            const idx = pair.lastIndexOf(':');
+            const testId = pair.slice(0, idx).trim();
+            const variant = pair.slice(idx + 1).trim();
+            if (idx > 0 && /^\d+$/.test(variant)) {
+              this.setQaOverride(testId, variant);
+            } else {
+              console.warn('Ignoring malformed ab_force value:', pair);
+            }
+          });
+ 
+        // Drop ab_reset so a reload doesn't wipe assignments again
+        if (params.has('ab_reset') && window.history?.replaceState) {
+          params.delete('ab_reset');
+          const query = params.toString();
+          window.history.replaceState(window.history.state, '',
+            window.location.pathname + (query ? `?${query}` : '') + window.location.hash);
+        }
+      } catch (err) {
+        console.error('Failed to apply QA overrides:', err);
+      }
+    }
+ 
+    persistQaOverrides() {
+      try {
+        if (this.qaOverrides.size === 0) {
+          sessionStorage.removeItem(this.STORAGE_KEYS.qaOverrides);
+        } else {
+          sessionStorage.setItem(this.STORAGE_KEYS.qaOverrides,
+            JSON.stringify(Object.fromEntries(this.qaOverrides)));
+        }
+      } catch (err) {
+        console.error('Failed to persist QA overrides:', err);
+      }
+    }
+ 
+    setQaOverride(testId, variant) {
+      this.qaOverrides.set(String(testId), String(variant));
+      this.qaAssignments.delete(String(testId));
+      this.persistQaOverrides();
+    }
+ 
+    getQaOverride(testId) {
+      return this.qaOverrides.has(String(testId)) ? this.qaOverrides.get(String(testId)) : null;
+    }
+ 
+    // Builds the in-memory assignment for a QA-forced test; see ABTestManager.setOrKeepAssignment.
+    setQaAssignment(testId, data) {
+      try {
+        const asg = new TestAssignment(testId, { ...data, mode: QA_MODE });
+        this.qaAssignments.set(testId, asg);
+        return asg;
+      } catch (err) {
+        console.error('Failed to set QA assignment:', err);
+        throw err;
+      }
+    }
+ 
+    isQaForced(testId) {
+      return this.getAssignment(testId)?.mode === QA_MODE;
+    }
+ 
+    isQaSession() {
+      return isPreviewMode() || this.qaOverrides.size > 0;
+    }
+ 
+    // Forgets QA overrides and every stored assignment in this browser.
+    clearAll() {
+      try {
+        this.qaOverrides.clear();
+        this.qaAssignments.clear();
+        this.assignments.clear();
+        this.persistQaOverrides();
+        this.persist();
+      } catch (err) {
+        console.error('Failed to clear assignments:', err);
+      }
+    }
+ 
     loadFromStorage() {
       try {
         const stored = localStorage.getItem(this.STORAGE_KEYS.assignments);
@@ -152,7 +297,7 @@
  
     getAssignment(testId) {
       try {
-        const asg = this.assignments.get(testId);
+        const asg = this.qaAssignments.get(testId) || this.assignments.get(testId);
         const valid = asg?.isValid();
         return valid ? asg : null;
       } catch(err) {
@@ -163,18 +308,22 @@
  
     getAllAssignments() {
       try {
-        return Array.from(this.assignments.values()).filter(a => a.isValid());
+        const merged = new Map([...this.assignments, ...this.qaAssignments]);
+        return Array.from(merged.values()).filter(a => a.isValid());
       } catch(err) {
         console.error('Failed to get all assignments:', err);
         return [];
       }
     }
  
+    // tested_variant is resolved per layer: only tests competing for the same
+    // slot (page group + layer) exclude each other.
     recalculateTestedVariants() {
       try {
         const groups = {};
         this.assignments.forEach(assignment => {
-          const group = assignment.pageGroup || 'default';
+          const pageGroup = assignment.pageGroup || 'default';
+          const group = assignment.layer ? `${pageGroup}/${assignment.layer}` : pageGroup;
           if (!groups[group]) {
             groups[group] = [];
           }
@@ -217,21 +366,116 @@
         this.assignments.forEach((asg, tid) => {
           if (asg.isValid()) {
             storageData[tid] = asg.toStorageFormat();
-            pixelData[tid] = asg.toPixelFormat();
+            // QA-forced tests are kept out of reporting, including checkout
+            if (!this.qaOverrides.has(String(tid))) {
+              pixelData[tid] = asg.toPixelFormat();
+            }
           }
         });
         localStorage.setItem(this.STORAGE_KEYS.assignments, JSON.stringify(storageData));
         localStorage.setItem(this.STORAGE_KEYS.activeTests, JSON.stringify(pixelData));
+        this.scheduleCartSync();
       } catch (err) {
         console.error('Failed to persist:', err);
       }
     }
  
-    cleanup() {
+    // Mirrors the active assignments into a cart attribute so every order
+    // carries its test context. Debounced, since persist() runs once per assignment.
+    scheduleCartSync() {
+      clearTimeout(this.cartSyncTimer);
+      if (!this.core.consent.hasConsent()) {
+        return;
+      }
+      this.cartSyncTimer = setTimeout(() => this.syncCartAttributes(), CART_SYNC_DELAY);
+    }
+ 
+    // Schema v1: "1|<user_id>|<session_id>|<test>:<assigned>:<tested>,..."
+    // Test IDs are URI-encoded, a tested_variant of "excluded" is written as "x"
+    // and an unknown one as an empty string. QA-forced tests are left out.
+    encodeForCart() {
+      const { userId, sessionId } = this.core.getTrackingIds();
+      const tests = [];
+      this.assignments.forEach((asg, tid) => {
+        if (!asg.isValid() || this.qaOverrides.has(String(tid))) {
+          return;
+        }
+        const tested = asg.tested_variant === 'excluded' ? 'x' : (asg.tested_variant ?? '');
+        tests.push(`${encodeURIComponent(tid)}:${asg.assigned_variant}:${tested}`);
+      });
+      if (tests.length === 0) {
+        return null;
+      }
+      return [CART_SCHEMA_VERSION, userId, sessionId, tests.join(',')].join('|');
+    }
+ 
+    // Only calls /cart/update.js when the encoding or the cart itself changed
+    // (a new cart is started after every order). Without a cart cookie there
+    // is nothing to tag, and /cart/update.js would create an empty cart for
+    // every visitor; GoalTracker syncs again once something is added.
+    async syncCartAttributes() {
+      try {
+        const encoding = this.encodeForCart();
+        if (!encoding) {
+          return;
+        }
+        const cartToken = this.core.getCookie('cart');
+        if (!cartToken) {
+          return;
+        }
+        const last = JSON.parse(sessionStorage.getItem(this.STORAGE_KEYS.cartSync) || 'null');
+        if (last?.encoding === encoding && last?.cart === cartToken) {
+          return;
+        }
+ 
+        const root = window.Shopify?.routes?.root || '/';
+        const resp = await fetch(`${root}cart/update.js`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          credentials: 'same-origin',
+          body: JSON.stringify({ attributes: { [CART_ATTRIBUTE]: encoding } })
+        });
+        if (!resp.ok) {
+          throw new Error(`HTTP error: ${resp.status}`);
+        }
+        sessionStorage.setItem(this.STORAGE_KEYS.cartSync, JSON.stringify({
+          encoding,
+          cart: this.core.getCookie('cart')
+        }));
+      } catch (err) {
+        console.error('Failed to sync cart attributes:', err);
+      }
+    }
+ 
+    async clearCartAttribute() {
+      try {
+        clearTimeout(this.cartSyncTimer);
+        sessionStorage.removeItem(this.STORAGE_KEYS.cartSync);
+        if (!this.core.getCookie('cart')) {
+          return;
+        }
+        const root = window.Shopify?.routes?.root || '/';
+        // An empty value removes the attribute
+        const resp = await fetch(`${root}cart/update.js`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          credentials: 'same-origin',
+          body: JSON.stringify({ attributes: { [CART_ATTRIBUTE]: '' } })
+        });
+        if (!resp.ok) {
+          throw new Error(`HTTP error: ${resp.status}`);
+        }
+      } catch (err) {
+        console.error('Failed to clear cart attributes:', err);
+      }
+    }
+ 
+    // Drops expired assignments plus those of tests that have ended.
+    cleanup(endedTestIds = []) {
       try {
         let changed = false;
         this.assignments.forEach((asg, tid) => {
-          if (!asg.isValid()) {
+          if (!asg.isValid() || endedTestIds.includes(tid)) {
             this.assignments.delete(tid);
             changed = true;
           }
@@ -245,6 +489,10 @@
     }
   }
  
+  AssignmentManager.isPreviewMode = isPreviewMode;
+  AssignmentManager.QA_MODE = QA_MODE;
+  AssignmentManager.CART_ATTRIBUTE = CART_ATTRIBUTE;
+ 
   window.TestAssignment = TestAssignment;
   window.AssignmentManager = AssignmentManager;
   try {
@@ -0,0 +1,236 @@
+/* Audience Targeting
+   Evaluates the declarative `audience` block of a test before assignment
+   Dependencies: TrackingCore
+
+   An audience is either a condition or a group of conditions:
+     { attribute: 'utm_source', operator: 'equals', value: 'google' }
+     { all: [ ...conditions ] }   every entry must match
+     { any: [ ...conditions ] }   at least one entry must match
+   Groups nest, e.g. { all: [ { attribute: 'visitor_type', value: 'new' },
+                              { any: [ ...utm conditions ] } ] } */
+
+(() => {
+  if (window.AudienceTargeting) {
+    console.warn('Audience Targeting already loaded');
+    return;
+  }
+
+  const LANDING_KEY = 'hw-abt-landing';
+  const UTM_KEYS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+  const CART_ATTRIBUTES = ['cart_value', 'cart_item_count'];
+
+  const OPERATORS = {
+    equals: (actual, expected) => normalize(actual) === normalize(expected),
+    not_equals: (actual, expected) => normalize(actual) !== normalize(expected),
+    in: (actual, expected) => toList(expected).map(normalize).includes(normalize(actual)),
+    not_in: (actual, expected) => !toList(expected).map(normalize).includes(normalize(actual)),
+    contains: (actual, expected) => contains(actual, expected),
+    not_contains: (actual, expected) => !contains(actual, expected),
+    exists: (actual) => actual !== null && actual !== undefined && actual !== '',
+    not_exists: (actual) => actual === null || actual === undefined || actual === '',
+    gt: (actual, expected) => Number(actual) > Number(expected),
+    gte: (actual, expected) => Number(actual) >= Number(expected),
+    lt: (actual, expected) => Number(actual) < Number(expected),
+    lte: (actual, expected) => Number(actual) <= Number(expected),
+    matches: (actual, expected) => new RegExp(expected, 'i').test(String(actual ?? ''))
+  };
+
+  const normalize = (value) => {
+    if (typeof value === 'string') return value.trim().toLowerCase();
+    return value;
+  };
+
+  const toList = (value) => {
+    if (Array.isArray(value)) return value;
+    if (typeof value === 'string') return value.split(',').map(v => v.trim());
+    return [value];
+  };
+
+  // Arrays (e.g. customer tags) match on membership, strings on substring.
+  const contains = (actual, expected) => {
+    if (Array.isArray(actual)) {
+      return actual.map(normalize).includes(normalize(expected));
+    }
+    return String(actual ?? '').toLowerCase().includes(String(expected ?? '').toLowerCase());
+  };
+
+  const hostnameOf = (url) => {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '');
+    } catch (e) {
+      return '';
+    }
+  };
+
+  class AudienceTargeting {
+    constructor({ core, settings = {} } = {}) {
+      this.core = core;
+      this.settings = settings;
+      this.context = null;
+    }
+
+    // Collects everything conditions can refer to. The cart is only fetched
+    // when some audience actually needs it.
+    async loadContext({ needsCart = false } = {}) {
+      if (this.context && (!needsCart || this.context.cart_value !== undefined)) {
+        return this.context;
+      }
+
+      const landing = this.getLandingAttributes();
+      const customer = this.getCustomer();
+      const shopify = window.Shopify || {};
+
+      this.context = {
+        visitor_type: this.core?.isReturningVisitor?.() ? 'returning' : 'new',
+        ...landing,
+        customer_logged_in: customer.loggedIn,
+        customer_tags: customer.tags,
+        country: this.settings.country || shopify.country || null,
+        currency: shopify.currency?.active || this.settings.currency || null,
+        market: this.settings.market || null,
+        language: shopify.locale || document.documentElement?.lang || null,
+        device_class: this.core?.getDeviceClass?.() || null
+      };
+
+      if (needsCart) {
+        Object.assign(this.context, await this.getCartAttributes());
+      }
+      return this.context;
+    }
+
+    // UTM parameters and the external referrer are captured when the visitor
+    // lands and kept for the rest of the session.
+    getLandingAttributes() {
+      let stored = null;
+      try {
+        stored = JSON.parse(sessionStorage.getItem(LANDING_KEY) || 'null');
+      } catch (err) {
+        console.error('Failed to read landing attributes:', err);
+      }
+
+      const params = new URLSearchParams(window.location.search);
+      const referrerDomain = hostnameOf(document.referrer);
+      const ownDomain = window.location.hostname.replace(/^www\./, '');
+      const external = referrerDomain && referrerDomain !== ownDomain;
+      const hasUtm = UTM_KEYS.some(k => params.has(k));
+
+      if (stored && !hasUtm && !external) {
+        return stored;
+      }
+
+      const landing = { referrer_domain: external ? referrerDomain : (stored?.referrer_domain || null) };
+      UTM_KEYS.forEach(k => {
+        landing[k] = params.get(k) || (hasUtm ? null : stored?.[k] || null);
+      });
+
+      try {
+        sessionStorage.setItem(LANDING_KEY, JSON.stringify(landing));
+      } catch (err) {
+        console.error('Failed to store landing attributes:', err);
+      }
+      return landing;
+    }
+
+    // Prefer what the Liquid snippet renders (customer.tags isn't exposed
+    // anywhere else); fall back to Shopify's analytics globals.
+    getCustomer() {
+      const configured = this.settings.customer;
+      if (configured) {
+        return {
+          loggedIn: Boolean(configured.logged_in ?? configured.id),
+          tags: toList(configured.tags || []).filter(Boolean)
+        };
+      }
+      const customerId = window.ShopifyAnalytics?.meta?.page?.customerId
+        || window.__st?.cid;
+      return { loggedIn: Boolean(customerId), tags: [] };
+    }
+
+    async getCartAttributes() {
+      try {
+        let cart = this.settings.cart;
+        if (!cart) {
+          const timeout = new Promise((_, rej) => {
+            setTimeout(() => rej(new Error('Cart request timed out')), 1500);
+          });
+          const resp = await Promise.race([
+            fetch('/cart.js', { credentials: 'same-origin' }),
+            timeout
+          ]);
+          if (!resp.ok) {
+            throw new Error(`HTTP error: ${resp.status}`);
+          }
+          cart = await resp.json();
+        }
+        return {
+          cart_value: (Number(cart.total_price) || 0) / 100,
+          cart_item_count: Number(cart.item_count) || 0
+        };
+      } catch (err) {
+        console.error('Failed to load cart for targeting:', err);
+        return { cart_value: null, cart_item_count: null };
+      }
+    }
+
+    usesCart(audience) {
+      if (!audience || typeof audience !== 'object') return false;
+      if (Array.isArray(audience.all)) return audience.all.some(c => this.usesCart(c));
+      if (Array.isArray(audience.any)) return audience.any.some(c => this.usesCart(c));
+      return CART_ATTRIBUTES.includes(audience.attribute);
+    }
+
+    // Returns { matched, failed } where failed lists the conditions that
+    // kept the visitor out, with the value we actually saw.
+    evaluate(audience, context = this.context || {}) {
+      if (!audience) {
+        return { matched: true, failed: [] };
+      }
+
+      if (Array.isArray(audience.all)) {
+        const results = audience.all.map(c => this.evaluate(c, context));
+        return {
+          matched: results.every(r => r.matched),
+          failed: results.flatMap(r => r.failed)
+        };
+      }
+
+      if (Array.isArray(audience.any)) {
+        const results = audience.any.map(c => this.evaluate(c, context));
+        const matched = results.length === 0 || results.some(r => r.matched);
+        return {
+          matched,
+          failed: matched ? [] : results.flatMap(r => r.failed)
+        };
+      }
+
+      const { attribute, value } = audience;
+      const operator = audience.operator || 'equals';
+      const actual = context[attribute];
+      const check = OPERATORS[operator];
+      let matched = false;
+
+      if (!check) {
+        console.warn(`Unknown audience operator "${operator}"`);
+      } else {
+        try {
+          matched = check(actual, value);
+        } catch (err) {
+          console.error(`Failed to evaluate audience condition on ${attribute}:`, err);
+        }
+      }
+
+      return {
+        matched,
+        failed: matched ? [] : [{ attribute, operator, value, actual: actual ?? null }]
+      };
+    }
+
+    describe(failed = []) {
+      return failed
+        .map(f => `${f.attribute} ${f.operator} ${JSON.stringify(f.value)} (was ${JSON.stringify(f.actual)})`)
+        .join('; ');
+    }
+  }
+
+  window.AudienceTargeting = AudienceTargeting;
+})();
\ No newline at end of file
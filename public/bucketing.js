@@ -0,0 +1,98 @@
+/* Bucketing
+   The pure part of ABTestManager's assignment: hashing a user into [0, 1),
+   picking one of the tests competing for a slot, picking a variant by
+   weight, and reading test weights and start_at / end_at. Everything is a
+   function of its arguments, so the same user always gets the same result.
+   Works in the browser (window.ABBucketing) and in Node (module.exports).
+   In the theme, load it before ab-testing-system.js.
+   Dependencies: none */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else if (!root.ABBucketing) {
+    root.ABBucketing = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, () => {
+  // Stable 32-bit hash (FNV-1a with a murmur3 finalizer) mapped into [0, 1).
+  const hashToUnit = (input) => {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < input.length; i++) {
+      h ^= input.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return (h >>> 0) / 4294967296;
+  };
+
+  // Deterministic position in [0, 1) for a user, e.g. bucket(salt, user, 'traffic', slot).
+  const bucket = (salt, userId, ...parts) => hashToUnit([salt, userId, ...parts].join(':'));
+
+  // Rendezvous hashing: every test gets a per-user score, the highest wins.
+  // Adding a test only moves the users it now wins.
+  const pickTest = (salt, userId, slot, tests) => {
+    let chosen = tests[0];
+    let best = -1;
+    tests.forEach(t => {
+      const score = bucket(salt, userId, 'slot', slot, t.id);
+      if (score > best) {
+        best = score;
+        chosen = t;
+      }
+    });
+    return chosen;
+  };
+
+  // Map the variant bucket onto the cumulative weight ranges.
+  const pickVariant = (salt, userId, group, test) => {
+    const variants = test.possibleNonZeroVariants || ['1'];
+    const weights = test.weights || variants.map(() => 1 / variants.length);
+    const u = bucket(salt, userId, 'variant', group, test.id);
+    let cumulative = 0;
+    let fallback = variants[0];
+    for (let i = 0; i < variants.length; i++) {
+      if (weights[i] <= 0) continue;
+      cumulative += weights[i];
+      fallback = variants[i];
+      if (u < cumulative) {
+        return variants[i];
+      }
+    }
+    // Only reachable through floating point rounding.
+    return fallback;
+  };
+
+  // Weights for `count` variants, normalized to sum to 1. Accepts an array or
+  // a comma-separated string (e.g. "50,25,25"); unset means an even split.
+  // Returns null when the weights are malformed.
+  const normalizeWeights = (weights, count) => {
+    if (weights === undefined || weights === null || weights === '') {
+      return Array.from({ length: count }, () => 1 / count);
+    }
+    const raw = typeof weights === 'string' ? weights.split(',') : weights;
+    const numbers = Array.isArray(raw) ? raw.map(w => Number(w)) : [];
+    const valid = numbers.length === count
+      && numbers.every(w => Number.isFinite(w) && w >= 0);
+    const total = valid ? numbers.reduce((sum, w) => sum + w, 0) : 0;
+    return total > 0 ? numbers.map(w => w / total) : null;
+  };
+
+  // Accepts ISO strings, epoch milliseconds or epoch seconds. Returns ms,
+  // null when unset, or NaN when the value can't be parsed.
+  const parseTimestamp = (value) => {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+      const n = Number(value);
+      return n < 1e12 ? n * 1000 : n;
+    }
+    return Date.parse(value);
+  };
+
+  return { hashToUnit, bucket, pickTest, pickVariant, normalizeWeights, parseTimestamp };
+});
\ No newline at end of file
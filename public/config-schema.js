@@ -0,0 +1,275 @@
+/* Config Schema
+   Validates window.abTestingConfig, and the /api/config document, before
+   ABTestManager reads it. Each invalid test is dropped on its own; invalid
+   traffic entries and endpoints are ignored. Every problem is reported as
+     { entry: 'tests[2]', test_id: 'hero', action: 'dropped',
+       errors: [{ path: 'tests[2].mode', message: '...', value: 'v' }] }
+   Works in the browser (window.ABConfigSchema) and in Node (module.exports).
+   In the theme, load it before ab-testing-system.js; installs that don't
+   load it still run, with the config unchecked.
+   Dependencies: none */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else if (!root.ABConfigSchema) {
+    root.ABConfigSchema = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, () => {
+  const LOCATIONS = ['global', 'homepage', 'product', 'collection', 'cart', 'checkout', 'page_specific'];
+  const DEVICES = ['mobile', 'tablet', 'desktop'];
+  const TYPES = ['classes', 'redirect'];
+  const MAX_VARIANTS = 20;
+
+  const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+  const isNonEmptyString = (v) => typeof v === 'string' && v.trim().length > 0;
+  // Liquid renders blank settings as '' or null; those mean "use the default"
+  const isUnset = (v) => v === undefined || v === null || v === '';
+  // Liquid number settings render test ids as numbers; they are used as strings
+  const isTestId = (v) => isNonEmptyString(v) || (typeof v === 'number' && Number.isFinite(v));
+
+  // Same formats ABTestManager accepts: ISO string, epoch ms or epoch seconds
+  const parseTimestamp = (value) => {
+    if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+      const n = Number(value);
+      return n < 1e12 ? n * 1000 : n;
+    }
+    return Date.parse(value);
+  };
+
+  const isHttpUrl = (value, base) => {
+    try {
+      const url = base ? new URL(value, base) : new URL(value);
+      return url.protocol === 'https:' || url.protocol === 'http:';
+    } catch (err) {
+      return false;
+    }
+  };
+
+  function validateAudience(audience, path, errors) {
+    if (!isObject(audience)) {
+      errors.push({ path, message: 'must be a condition or an { all } / { any } group', value: audience });
+      return;
+    }
+    const group = Array.isArray(audience.all) ? 'all' : Array.isArray(audience.any) ? 'any' : null;
+    if (group) {
+      audience[group].forEach((c, i) => validateAudience(c, `${path}.${group}[${i}]`, errors));
+      return;
+    }
+    if (!isNonEmptyString(audience.attribute)) {
+      errors.push({ path: `${path}.attribute`, message: 'is required', value: audience.attribute });
+    }
+    if (audience.operator !== undefined && !isNonEmptyString(audience.operator)) {
+      errors.push({ path: `${path}.operator`, message: 'must be a string', value: audience.operator });
+    }
+  }
+
+  function validateVariants(test, path, variantsCount, errors) {
+    if (!isObject(test.variants)) {
+      errors.push({ path: `${path}.variants`, message: 'must be an object keyed by variant number', value: test.variants });
+      return;
+    }
+    Object.entries(test.variants).forEach(([key, variant]) => {
+      const variantPath = `${path}.variants.${key}`;
+      if (!/^\d+$/.test(key) || Number(key) > variantsCount) {
+        errors.push({ path: variantPath, message: `is not a variant of this test (0-${variantsCount})` });
+        return;
+      }
+      if (!isObject(variant)) {
+        errors.push({ path: variantPath, message: 'must be an object', value: variant });
+        return;
+      }
+      if (variant.changes !== undefined) {
+        if (!Array.isArray(variant.changes)) {
+          errors.push({ path: `${variantPath}.changes`, message: 'must be an array', value: variant.changes });
+        } else {
+          variant.changes.forEach((change, i) => {
+            if (!isObject(change) || !isNonEmptyString(change.action)) {
+              errors.push({ path: `${variantPath}.changes[${i}]`, message: 'must be an object with an action', value: change });
+            }
+          });
+        }
+      }
+    });
+    if (test.type === 'redirect') {
+      for (let v = 1; v <= variantsCount; v++) {
+        const variant = test.variants[String(v)];
+        if (!isObject(variant) || (!isNonEmptyString(variant.url) && !isNonEmptyString(variant.view))) {
+          errors.push({ path: `${path}.variants.${v}`, message: 'needs a url or view for a redirect test' });
+        }
+      }
+    }
+  }
+
+  // Returns the errors of one test entry; an empty array means it is valid.
+  function validateTest(test, path) {
+    const errors = [];
+    if (!isObject(test)) {
+      return [{ path, message: 'must be an object', value: test }];
+    }
+
+    if (!isTestId(test.id)) {
+      errors.push({ path: `${path}.id`, message: 'is required (a string or a number)', value: test.id });
+    }
+
+    const variantsCount = isUnset(test.variantsCount) ? 1 : test.variantsCount;
+    if (!Number.isInteger(variantsCount) || variantsCount < 1 || variantsCount > MAX_VARIANTS) {
+      errors.push({ path: `${path}.variantsCount`, message: `must be a whole number from 1 to ${MAX_VARIANTS}`, value: test.variantsCount });
+    }
+
+    if (!isUnset(test.mode) && test.mode !== 'test') {
+      const forced = /^v(\d+)$/.exec(String(test.mode));
+      if (!forced) {
+        errors.push({ path: `${path}.mode`, message: 'must be "test" or "v<variant>", e.g. "v0" or "v2"', value: test.mode });
+      } else if (Number(forced[1]) > variantsCount) {
+        errors.push({ path: `${path}.mode`, message: `forces variant ${forced[1]} but the test has ${variantsCount}`, value: test.mode });
+      }
+    }
+
+    const location = isUnset(test.location) ? 'global' : test.location;
+    if (!LOCATIONS.includes(location)) {
+      errors.push({ path: `${path}.location`, message: `must be one of ${LOCATIONS.join(', ')}`, value: test.location });
+    } else if (location === 'page_specific' && !isNonEmptyString(test.page_specific_url)) {
+      errors.push({ path: `${path}.page_specific_url`, message: 'is required for page_specific tests', value: test.page_specific_url });
+    }
+
+    if (!isUnset(test.device)) {
+      const devices = String(test.device).toLowerCase().split(',').map(d => d.trim());
+      const valid = (devices.length === 1 && ['both', 'all'].includes(devices[0]))
+        || devices.every(d => DEVICES.includes(d));
+      if (!valid) {
+        errors.push({ path: `${path}.device`, message: `must be "both" or a list of ${DEVICES.join(', ')}`, value: test.device });
+      }
+    }
+
+    if (!isUnset(test.weights)) {
+      const raw = typeof test.weights === 'string' ? test.weights.split(',') : test.weights;
+      const weights = Array.isArray(raw) ? raw.map(w => Number(w)) : [];
+      const valid = weights.length === variantsCount
+        && weights.every(w => Number.isFinite(w) && w >= 0)
+        && weights.reduce((sum, w) => sum + w, 0) > 0;
+      if (!valid) {
+        errors.push({ path: `${path}.weights`, message: `must be ${variantsCount} non-negative number(s), not all 0`, value: test.weights });
+      }
+    }
+
+    if (!isUnset(test.type) && !TYPES.includes(test.type)) {
+      errors.push({ path: `${path}.type`, message: `must be one of ${TYPES.join(', ')}`, value: test.type });
+    }
+    if (!isUnset(test.variants) || test.type === 'redirect') {
+      validateVariants(test, path, Number.isInteger(variantsCount) ? variantsCount : 1, errors);
+    }
+
+    if (!isUnset(test.layer) && typeof test.layer !== 'string' && typeof test.layer !== 'number') {
+      errors.push({ path: `${path}.layer`, message: 'must be a string', value: test.layer });
+    }
+    if (!isUnset(test.audience)) {
+      validateAudience(test.audience, `${path}.audience`, errors);
+    }
+
+    const bounds = {};
+    ['start_at', 'end_at'].forEach(field => {
+      const value = test[field];
+      if (isUnset(value)) return;
+      bounds[field] = parseTimestamp(value);
+      if (Number.isNaN(bounds[field])) {
+        errors.push({ path: `${path}.${field}`, message: 'must be an ISO date or epoch timestamp', value });
+      }
+    });
+    if (bounds.start_at >= bounds.end_at) {
+      errors.push({ path: `${path}.end_at`, message: 'must be after start_at', value: test.end_at });
+    }
+
+    return errors;
+  }
+
+  // Returns { config, problems }: a copy of config holding only the valid
+  // tests (with numeric ids turned into strings), traffic entries and
+  // endpoints, and what was removed and why.
+  function validateConfig(input) {
+    const config = isObject(input) ? { ...input } : {};
+    const problems = [];
+    const ignore = (entry, errors) => problems.push({ entry, test_id: null, action: 'ignored', errors });
+
+    if (!isObject(input)) {
+      ignore('config', [{ path: 'config', message: 'must be an object', value: input }]);
+    }
+
+    if (config.tests !== undefined && !Array.isArray(config.tests)) {
+      ignore('tests', [{ path: 'tests', message: 'must be an array', value: config.tests }]);
+      config.tests = [];
+    }
+    const seen = new Set();
+    const tests = [];
+    (config.tests || []).forEach((test, i) => {
+      const entry = `tests[${i}]`;
+      const errors = validateTest(test, entry);
+      const id = isTestId(test?.id) ? String(test.id) : null;
+      if (errors.length === 0 && seen.has(id)) {
+        errors.push({ path: `${entry}.id`, message: 'is already used by an earlier test', value: test.id });
+      }
+      if (errors.length > 0) {
+        problems.push({ entry, test_id: id, action: 'dropped', errors });
+        return;
+      }
+      seen.add(id);
+      tests.push(typeof test.id === 'string' ? test : { ...test, id });
+    });
+    config.tests = tests;
+
+    if (config.traffic !== undefined) {
+      if (!isObject(config.traffic)) {
+        ignore('traffic', [{ path: 'traffic', message: 'must be an object of percentages', value: config.traffic }]);
+        config.traffic = {};
+      } else {
+        const traffic = {};
+        Object.entries(config.traffic).forEach(([group, value]) => {
+          const entry = `traffic.${group}`;
+          const n = typeof value === 'string' && /^\s*\d+\s*$/.test(value) ? Number(value) : value;
+          if (isUnset(value)) {
+            return;
+          }
+          if (!LOCATIONS.includes(group)) {
+            ignore(entry, [{ path: entry, message: `is not a page group (${LOCATIONS.join(', ')})`, value }]);
+          } else if (!Number.isInteger(n) || n < 0 || n > 100) {
+            ignore(entry, [{ path: entry, message: 'must be a whole percentage from 0 to 100', value }]);
+          } else {
+            traffic[group] = n;
+          }
+        });
+        config.traffic = traffic;
+      }
+    }
+
+    if (config.salt !== undefined && !isNonEmptyString(config.salt)) {
+      ignore('salt', [{ path: 'salt', message: 'must be a non-empty string', value: config.salt }]);
+      delete config.salt;
+    }
+
+    if (config.apiEndpoint !== undefined && !isHttpUrl(config.apiEndpoint)) {
+      ignore('apiEndpoint', [{ path: 'apiEndpoint', message: 'must be an absolute http(s) URL', value: config.apiEndpoint }]);
+      delete config.apiEndpoint;
+    }
+    if (isObject(config.remoteConfig)) {
+      const remote = { ...config.remoteConfig };
+      const path = 'remoteConfig.endpoint';
+      // Without a usable endpoint the theme config is used as is
+      if (remote.endpoint !== undefined && !isHttpUrl(remote.endpoint, config.apiEndpoint)) {
+        ignore('remoteConfig', [{ path, message: 'must be a URL (relative to apiEndpoint or absolute)', value: remote.endpoint }]);
+        remote.enabled = false;
+      } else if (remote.endpoint === undefined && remote.enabled && !config.apiEndpoint) {
+        ignore('remoteConfig', [{ path, message: 'is required without apiEndpoint' }]);
+        remote.enabled = false;
+      }
+      if (remote.timeout !== undefined && !(Number(remote.timeout) > 0)) {
+        ignore('remoteConfig.timeout', [{ path: 'remoteConfig.timeout', message: 'must be a positive number of milliseconds', value: remote.timeout }]);
+        delete remote.timeout;
+      }
+      config.remoteConfig = remote;
+    }
+
+    return { config, problems };
+  }
+
+  return { validateConfig, validateTest, LOCATIONS };
+});
\ No newline at end of file
@@ -0,0 +1,381 @@
+/* Goal Tracker
+   Records storefront conversion goals so results can be compared per variant:
+     add_to_cart     Shopify /cart/add calls (fetch or XHR) and plain product form submits
+     cart_view       the cart page (call goalTracker.trackCartView() for cart drawers)
+     checkout_start  clicks on checkout buttons and links
+   Custom goals need no JS:
+     <a data-ab-goal="hero_cta" data-ab-goal-value="5" data-ab-goal-dedupe="every">
+     <section data-ab-goal="reviews_seen" data-ab-goal-trigger="view">
+   data-ab-goal-dedupe is "session" (default, once per session) or "every";
+   data-ab-goal-trigger is "click" (default) or "view" (half the element on screen).
+   Theme code can call window.trackGoal(name, value, { dedupe }) instead.
+   Every goal goes through PostgresReporter.createEventPayload, so it carries test_assignments.
+   Amounts are in the shop currency's major unit (Shopify's cents / 100).
+   Dependencies: PostgresReporter */
+
+(() => {
+  if (window.GoalTracker) {
+    console.warn('Goal Tracker already loaded');
+    return;
+  }
+
+  const CART_ADD_PATTERN = /\/cart\/add(\.js|\.json)?$/;
+  const CART_PATTERN = /\/cart(\.js|\.json)$/;
+  const CHECKOUT_SELECTOR = '[name="checkout"], a[href*="/checkout"], [data-ab-checkout]';
+  const GOALS_KEY = 'hw-abt-goals';
+
+  const toAmount = (cents) => {
+    const n = Number(cents);
+    return Number.isFinite(n) ? Math.round(n) / 100 : null;
+  };
+
+  const pathOf = (url) => {
+    try {
+      return new URL(url, window.location.origin).pathname.replace(/\/+$/, '');
+    } catch (e) {
+      return '';
+    }
+  };
+
+  // Request bodies come as FormData, URLSearchParams, JSON strings or urlencoded strings.
+  const parseRequestBody = (body) => {
+    try {
+      if (!body) return null;
+      if (typeof FormData !== 'undefined' && body instanceof FormData) {
+        return { id: body.get('id'), quantity: body.get('quantity') };
+      }
+      if (body instanceof URLSearchParams) {
+        return { id: body.get('id'), quantity: body.get('quantity') };
+      }
+      if (typeof body === 'string') {
+        if (body.trim().startsWith('{')) {
+          return JSON.parse(body);
+        }
+        const params = new URLSearchParams(body);
+        return { id: params.get('id'), quantity: params.get('quantity') };
+      }
+    } catch (err) {
+      console.error('Failed to parse cart request body:', err);
+    }
+    return null;
+  };
+
+  class GoalTracker {
+    constructor(reporter) {
+      this.reporter = reporter;
+      this.cart = window.abTestingConfig?.cart || null;
+      this.lastCheckoutAt = 0;
+      this.viewObserver = null;
+    }
+
+    install() {
+      this.interceptFetch();
+      this.interceptXhr();
+      this.listenForFormSubmits();
+      this.listenForCheckout();
+      this.listenForGoalClicks();
+      this.watchGoalViews();
+      if (pathOf(window.location.href) === '/cart') {
+        this.trackCartView();
+      }
+    }
+
+    interceptFetch() {
+      if (typeof window.fetch !== 'function') return;
+      const originalFetch = window.fetch;
+      const tracker = this;
+
+      window.fetch = function(input, init) {
+        const promise = originalFetch.apply(this, arguments);
+        try {
+          const url = typeof input === 'string' ? input : input?.url || '';
+          const path = pathOf(url);
+          if (CART_ADD_PATTERN.test(path) || CART_PATTERN.test(path)) {
+            const body = init?.body;
+            promise
+              .then(resp => {
+                if (!resp.ok) return;
+                // Non-JSON responses (e.g. /cart/add without .js) fall back to the request body
+                return resp.clone().json()
+                  .catch(() => null)
+                  .then(data => tracker.handleCartResponse(path, data, body));
+              })
+              .catch(() => {});
+          }
+        } catch (err) {
+          console.error('Failed to inspect fetch:', err);
+        }
+        return promise;
+      };
+    }
+
+    interceptXhr() {
+      if (typeof XMLHttpRequest === 'undefined') return;
+      const proto = XMLHttpRequest.prototype;
+      const originalOpen = proto.open;
+      const originalSend = proto.send;
+      const tracker = this;
+
+      proto.open = function(method, url) {
+        this._abPath = pathOf(String(url));
+        return originalOpen.apply(this, arguments);
+      };
+      proto.send = function(body) {
+        const path = this._abPath;
+        if (path && (CART_ADD_PATTERN.test(path) || CART_PATTERN.test(path))) {
+          this.addEventListener('load', () => {
+            if (this.status < 200 || this.status >= 300) return;
+            let data = null;
+            try {
+              data = JSON.parse(this.responseText);
+            } catch (e) {
+              // Non-JSON response (e.g. /cart/add without .js); fall back to the request body
+            }
+            tracker.handleCartResponse(path, data, body);
+          });
+        }
+        return originalSend.apply(this, arguments);
+      };
+    }
+
+    handleCartResponse(path, data, requestBody) {
+      if (CART_PATTERN.test(path)) {
+        if (data && Array.isArray(data.items)) {
+          this.cart = data;
+        }
+        return;
+      }
+      const items = data
+        ? (Array.isArray(data.items) ? data.items : [data])
+        : this.itemsFromRequest(parseRequestBody(requestBody));
+      this.trackAddToCart(items.map(i => this.toLineItem(i)), 'ajax');
+      // The first add creates the cart, which can now carry the test context
+      this.reporter.assignmentManager?.scheduleCartSync();
+    }
+
+    itemsFromRequest(request) {
+      if (!request) return [];
+      if (Array.isArray(request.items)) return request.items;
+      return request.id ? [request] : [];
+    }
+
+    // Plain (non-AJAX) product forms navigate to /cart; AJAX themes call
+    // preventDefault and are picked up by the fetch/XHR hooks instead.
+    listenForFormSubmits() {
+      document.addEventListener('submit', (e) => {
+        const form = e.target;
+        if (e.defaultPrevented || !form?.getAttribute) return;
+        const action = pathOf(form.getAttribute('action') || '');
+        if (CART_ADD_PATTERN.test(action)) {
+          const data = new FormData(form);
+          this.trackAddToCart([this.toLineItem({ id: data.get('id'), quantity: data.get('quantity') })], 'form');
+        } else if (action === '/cart' && e.submitter?.getAttribute('name') === 'checkout') {
+          this.trackCheckoutStart('cart_form');
+        }
+      });
+    }
+
+    listenForCheckout() {
+      document.addEventListener('click', (e) => {
+        const el = e.target?.closest?.(CHECKOUT_SELECTOR);
+        if (el) {
+          this.trackCheckoutStart('click');
+        }
+      }, true);
+    }
+
+    listenForGoalClicks() {
+      document.addEventListener('click', (e) => {
+        const el = e.target?.closest?.('[data-ab-goal]');
+        if (!el || (el.getAttribute('data-ab-goal-trigger') || 'click') !== 'click') return;
+        this.trackGoal(el.getAttribute('data-ab-goal'), el.getAttribute('data-ab-goal-value'), {
+          dedupe: el.getAttribute('data-ab-goal-dedupe') || 'session',
+          trigger: 'click'
+        });
+      }, true);
+    }
+
+    // View goals fire once per element when half of it is on screen; elements
+    // added later (sections, drawers) are picked up as they appear.
+    watchGoalViews() {
+      if (typeof IntersectionObserver === 'undefined') return;
+      const selector = '[data-ab-goal][data-ab-goal-trigger="view"]';
+      const seen = new WeakSet();
+
+      this.viewObserver = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+          if (!entry.isIntersecting) return;
+          const el = entry.target;
+          this.viewObserver.unobserve(el);
+          this.trackGoal(el.getAttribute('data-ab-goal'), el.getAttribute('data-ab-goal-value'), {
+            dedupe: el.getAttribute('data-ab-goal-dedupe') || 'session',
+            trigger: 'view'
+          });
+        });
+      }, { threshold: 0.5 });
+
+      const scan = () => {
+        document.querySelectorAll(selector).forEach(el => {
+          if (seen.has(el)) return;
+          seen.add(el);
+          this.viewObserver.observe(el);
+        });
+      };
+
+      if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', scan, { once: true });
+      } else {
+        scan();
+      }
+      if (typeof MutationObserver !== 'undefined') {
+        new MutationObserver(scan).observe(document.documentElement, { childList: true, subtree: true });
+      }
+    }
+
+    // Goals already fired in this session, for dedupe: 'session'.
+    firedGoals() {
+      const { sessionId } = this.reporter.core.getTrackingIds();
+      try {
+        const stored = JSON.parse(sessionStorage.getItem(GOALS_KEY) || 'null');
+        return stored?.sessionId === sessionId ? stored.goals : [];
+      } catch (e) {
+        return [];
+      }
+    }
+
+    markGoalFired(name) {
+      const { sessionId } = this.reporter.core.getTrackingIds();
+      try {
+        const goals = this.firedGoals();
+        goals.push(name);
+        sessionStorage.setItem(GOALS_KEY, JSON.stringify({ sessionId, goals }));
+      } catch (err) {
+        console.error('Failed to store fired goal:', err);
+      }
+    }
+
+    // Public API for theme developers: goalTracker.trackGoal('newsletter_signup', 1)
+    trackGoal(name, value = null, { dedupe = 'every', trigger = 'api' } = {}) {
+      try {
+        const goalName = String(name || '').trim();
+        if (!goalName) {
+          throw new Error('Goal name is required');
+        }
+        const once = dedupe === 'session';
+        if (once && this.firedGoals().includes(goalName)) {
+          return false;
+        }
+
+        const numeric = value === null || value === undefined || value === '' ? null : Number(value);
+        const evt = this.reporter.createEventPayload('goal', 'goal', {
+          goal: goalName,
+          value: Number.isFinite(numeric) ? numeric : null,
+          trigger,
+          shop_domain: this.reporter.shopDomain
+        });
+        if (once) {
+          this.markGoalFired(goalName);
+        }
+        this.reporter.queueEvent(evt).catch(err => {
+          console.error(`Failed to queue goal ${goalName}:`, err);
+        });
+        return true;
+      } catch (err) {
+        console.error('Failed to track goal:', err);
+        return false;
+      }
+    }
+
+    // Normalizes a Shopify line item (or a bare { id, quantity } request) for events.
+    toLineItem(item) {
+      const variantId = item.variant_id || item.id;
+      let price = item.price !== undefined ? toAmount(item.price) : null;
+      if (price === null) {
+        const known = window.ShopifyAnalytics?.meta?.product?.variants
+          ?.find(v => String(v.id) === String(variantId));
+        price = known ? toAmount(known.price) : null;
+      }
+      return {
+        product_id: item.product_id || window.ShopifyAnalytics?.meta?.product?.id || null,
+        variant_id: variantId ? String(variantId) : null,
+        sku: item.sku || null,
+        title: item.title || item.product_title || null,
+        quantity: parseInt(item.quantity, 10) || 1,
+        price
+      };
+    }
+
+    cartLineItems() {
+      return (this.cart?.items || []).map(i => this.toLineItem(i));
+    }
+
+    trackAddToCart(lineItems, source) {
+      if (lineItems.length === 0) return;
+      this.trackConversion('add_to_cart', lineItems, { source });
+    }
+
+    async trackCartView() {
+      try {
+        if (!this.cart) {
+          const resp = await fetch('/cart.js', { credentials: 'same-origin' });
+          this.cart = resp.ok ? await resp.json() : null;
+        }
+      } catch (err) {
+        console.error('Failed to load cart for cart view:', err);
+      }
+      this.trackConversion('cart_view', this.cartLineItems(), {
+        cart_total: this.cart ? toAmount(this.cart.total_price) : null
+      });
+    }
+
+    trackCheckoutStart(source) {
+      // A checkout button inside a form fires both click and submit
+      if (Date.now() - this.lastCheckoutAt < 2000) return;
+      this.lastCheckoutAt = Date.now();
+      this.trackConversion('checkout_start', this.cartLineItems(), {
+        source,
+        cart_total: this.cart ? toAmount(this.cart.total_price) : null
+      });
+    }
+
+    trackConversion(eventName, lineItems, extra = {}) {
+      try {
+        const value = lineItems.reduce((sum, li) => sum + (li.price || 0) * li.quantity, 0);
+        const evt = this.reporter.createEventPayload(eventName, 'conversion', {
+          goal: eventName,
+          shop_domain: this.reporter.shopDomain,
+          currency: window.Shopify?.currency?.active || this.cart?.currency || null,
+          quantity: lineItems.reduce((sum, li) => sum + li.quantity, 0),
+          value: Math.round(value * 100) / 100,
+          line_items: lineItems,
+          ...extra
+        });
+        this.reporter.queueEvent(evt).catch(err => {
+          console.error(`Failed to queue ${eventName}:`, err);
+        });
+      } catch (err) {
+        console.error(`Failed to track ${eventName}:`, err);
+      }
+    }
+  }
+
+  window.GoalTracker = GoalTracker;
+
+  // Safe to call even when AB testing is disabled on this page
+  if (!window.trackGoal) {
+    window.trackGoal = (name, value, options) => window.goalTracker?.trackGoal(name, value, options) || false;
+  }
+
+  try {
+    if (!window.abTestingConfig?.enabled) {
+      return;
+    }
+    if (!window.postgresReporter) {
+      throw new Error('PostgresReporter not initialized');
+    }
+    window.goalTracker = new GoalTracker(window.postgresReporter);
+    window.goalTracker.install();
+  } catch (err) {
+    console.error('Failed to init Goal Tracker:', err);
+  }
+})();
\ No newline at end of file
@@ -1,5 +1,6 @@
 /* PostgreSQL Reporter
-   Queues events in localStorage, deduplicates impressions, etc.
+   Queues events in IndexedDB (localStorage as fallback), shared across tabs;
+   one elected tab sends them. Deduplicates impressions, etc.
    Dependencies: TrackingCore, AssignmentManager */
 
 (() => {
@@ -8,6 +9,15 @@
     return;
   }
 
+  // Browsers cap the combined body size of keepalive requests (and beacons)
+  // still in flight at 64KB; chunks stay under that with some headroom.
+  const KEEPALIVE_BUDGET = 64 * 1024;
+  const MAX_CHUNK_BYTES = 60 * 1024;
+
+  const byteLength = (str) => new TextEncoder().encode(str).length;
+
+  const supportsKeepalive = () => typeof Request !== 'undefined' && 'keepalive' in Request.prototype;
+
   class RateLimiter {
     constructor(maxRequests = 50, timeWindow = 60000) {
       this.maxRequests = maxRequests;
@@ -28,90 +38,493 @@
     }
   }
 
-  class EventDeduplicator {
-    constructor(expiryTime = 30 * 60 * 1000) {
-      this.processedEvents = new Map();
+  // Version of the event envelope built by createEventPayload
+  const EVENT_SCHEMA_VERSION = 1;
+
+  // Event ids the API has confirmed, kept in localStorage so that an event
+  // still stored after a reload (its ack lost with the page) isn't sent twice.
+  // The collector ignores repeated event ids as well; this saves the request.
+  // The ids are cached in memory; a write from another tab invalidates the cache.
+  class SentEventLog {
+    constructor(expiryTime = 7 * 24 * 60 * 60 * 1000, maxEntries = 1000) {
+      this.STORAGE_KEY = 'pg_sent_events';
       this.EXPIRY_TIME = expiryTime;
+      this.MAX_ENTRIES = maxEntries;
+      this.entries = null;
+      window.addEventListener('storage', (e) => {
+        if (e.key === this.STORAGE_KEY || e.key === null) {
+          this.entries = null;
+        }
+      });
     }
 
-    generateKey(evt) {
-      const { session_id, test_id, event_name, client_timestamp } = evt.data;
-      return `${session_id}:${test_id}:${event_name}:${client_timestamp}`;
+    load() {
+      if (this.entries) return this.entries;
+      try {
+        const stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '{}');
+        this.entries = stored && typeof stored === 'object' ? stored : {};
+      } catch (err) {
+        this.entries = {};
+      }
+      return this.entries;
     }
 
-    isDuplicate(evt) {
-      const k = this.generateKey(evt);
-      const last = this.processedEvents.get(k);
-      if (!last) return false;
-      const now = Date.now();
-      if (now - last > this.EXPIRY_TIME) {
-        this.processedEvents.delete(k);
-        return false;
+    save(entries) {
+      try {
+        const now = Date.now();
+        const kept = Object.entries(entries)
+          .filter(([, t]) => now - t <= this.EXPIRY_TIME)
+          .sort((a, b) => a[1] - b[1])
+          .slice(-this.MAX_ENTRIES);
+        this.entries = Object.fromEntries(kept);
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(Object.fromEntries(kept)));
+      } catch (err) {
+        console.error('Failed to store sent event ids:', err);
       }
-      return true;
     }
 
-    markProcessed(evt) {
-      const k = this.generateKey(evt);
-      this.processedEvents.set(k, Date.now());
+    // Splits queue records into those not sent yet and those already confirmed.
+    partition(records) {
+      const sent = this.load();
+      return {
+        unsent: records.filter(r => !sent[r.event?.data?.event_id]),
+        sent: records.filter(r => sent[r.event?.data?.event_id])
+      };
     }
 
-    cleanup() {
+    markSent(eventIds) {
+      const entries = this.load();
       const now = Date.now();
-      for (const [k, t] of this.processedEvents.entries()) {
-        if (now - t > this.EXPIRY_TIME) {
-          this.processedEvents.delete(k);
-        }
+      eventIds.filter(Boolean).forEach(id => {
+        entries[id] = now;
+      });
+      this.save(entries);
+    }
+
+    cleanup() {
+      this.save(this.load());
+    }
+
+    clear() {
+      this.entries = null;
+      try {
+        localStorage.removeItem(this.STORAGE_KEY);
+      } catch (err) {
+        console.error('Failed to clear sent event ids:', err);
       }
     }
   }
 
-  class QueueManager {
+  const LEGACY_QUEUE_KEY = 'pg_event_queue';
+  const DB_NAME = 'hw-abt-events';
+  const DB_STORE = 'queue';
+  const SENDER_LOCK = 'hw-abt-event-sender';
+  const LEASE_KEY = 'hw-abt-sender-lease';
+  const LEASE_MS = 5000;
+  const DEAD_LETTER_KEY = 'pg_event_dead_letter';
+  const QUEUE_CHANNEL = 'hw-abt-event-queue';
+  // Events buffered before consent, handed from a redirecting page to its destination
+  const REDIRECT_BUFFER_KEY = 'pg_redirect_buffer';
+  // How often the sender re-reads a queue it last found empty. Events added
+  // in this tab, or announced by other tabs, are picked up right away.
+  const IDLE_POLL_MS = 5000;
+
+  // When the queue is over its limits, lower priorities are evicted first
+  const eventPriority = (evt) => {
+    const { event_name, event_type } = evt?.data || {};
+    if (event_name === 'test_assignment' || event_type === 'conversion' || event_type === 'goal') return 2;
+    if (event_name === 'test_impression' || event_name === 'test_exposure' || event_name === 'variant_applied') return 0;
+    return 1;
+  };
+
+  const isQuotaError = (err) => err?.name === 'QuotaExceededError'
+    || err?.name === 'NS_ERROR_DOM_QUOTA_REACHED'
+    || err?.code === 22;
+
+  // The API rejected the request itself; sending it again right away won't help
+  const isPermanentFailure = (err) => err?.status >= 400 && err.status < 500
+    && err.status !== 408 && err.status !== 429;
+
+  // The API rejected something in the batch: invalid events (a 400 listing
+  // them) or a body too large. Anything else, like 401/403 after a key
+  // rotation, is about the request and says nothing about the events.
+  const isEventFailure = (err) => (err?.status === 400 && Boolean(err.details)) || err?.status === 413;
+
+  // Time-prefixed so that key order is (roughly) the order events were queued
+  const newQueueId = () => `${Date.now().toString(36).padStart(9, '0')}-${Math.random().toString(36).slice(2, 10)}`;
+
+  // Queue entries are { id, created_at, event }; older versions stored bare events.
+  const toRecord = (entry) => {
+    if (entry?.id && entry.event) return entry;
+    return {
+      id: newQueueId(),
+      created_at: Date.parse(entry?.data?.client_timestamp) || Date.now(),
+      event: entry
+    };
+  };
+
+  class IdbQueueStore {
     constructor() {
-      this.STORAGE_KEY = 'pg_event_queue';
-      this.queue = [];
-      this.loadPersistedQueue();
+      this.dbPromise = null;
     }
 
-    loadPersistedQueue() {
+    open() {
+      if (!this.dbPromise) {
+        this.dbPromise = new Promise((resolve, reject) => {
+          const req = indexedDB.open(DB_NAME, 1);
+          req.onupgradeneeded = () => {
+            req.result.createObjectStore(DB_STORE, { keyPath: 'id' });
+          };
+          req.onsuccess = () => resolve(req.result);
+          req.onerror = () => reject(req.error);
+          req.onblocked = () => reject(new Error('IndexedDB open blocked'));
+        });
+      }
+      return this.dbPromise;
+    }
+
+    async run(mode, fn) {
+      const db = await this.open();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(DB_STORE, mode);
+        const req = fn(tx.objectStore(DB_STORE));
+        tx.oncomplete = () => resolve(req?.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+      });
+    }
+
+    put(records) {
+      return this.run('readwrite', store => {
+        records.forEach(r => store.put(r));
+      });
+    }
+
+    remove(ids) {
+      return this.run('readwrite', store => {
+        ids.forEach(id => store.delete(id));
+      });
+    }
+
+    getAll() {
+      return this.run('readonly', store => store.getAll());
+    }
+  }
+
+  // Fallback when IndexedDB is unavailable (some private modes). Every call
+  // re-reads storage, so tabs don't overwrite each other's entries.
+  class LocalQueueStore {
+    constructor(key = LEGACY_QUEUE_KEY) {
+      this.key = key;
+      // Give legacy entries stable ids
+      this.write(this.read());
+    }
+
+    read() {
       try {
-        const stored = localStorage.getItem(this.STORAGE_KEY);
-        if (stored) {
-          const arr = JSON.parse(stored);
-          if (Array.isArray(arr)) {
-            this.queue.push(...arr);
-          }
-          localStorage.removeItem(this.STORAGE_KEY);
-        }
+        const arr = JSON.parse(localStorage.getItem(this.key) || '[]');
+        return Array.isArray(arr) ? arr.map(toRecord) : [];
       } catch (err) {
-        console.error('Failed to load queue:', err);
+        console.error('Failed to read queue:', err);
+        return [];
       }
     }
 
-    persistQueue() {
-      if (this.queue.length > 0) {
+    write(records) {
+      if (records.length > 0) {
+        localStorage.setItem(this.key, JSON.stringify(records));
+      } else {
+        localStorage.removeItem(this.key);
+      }
+    }
+
+    async put(records) {
+      const ids = new Set(records.map(r => r.id));
+      this.write([...this.read().filter(r => !ids.has(r.id)), ...records]);
+    }
+
+    async remove(ids) {
+      const gone = new Set(ids);
+      this.write(this.read().filter(r => !gone.has(r.id)));
+    }
+
+    async getAll() {
+      return this.read();
+    }
+  }
+
+  // Event queue shared by every tab of the shop. Events stay stored until
+  // ack() is called with their ids, i.e. after the API accepted them.
+  class QueueManager {
+    constructor({ maxSize = 500, maxAge = 7 * 24 * 60 * 60 * 1000, maxDeadLetters = 50 } = {}) {
+      this.maxSize = maxSize;
+      this.maxAge = maxAge;
+      this.maxDeadLetters = maxDeadLetters;
+      // Written by this tab, store write still in progress (or failed)
+      this.unsaved = new Map();
+      // Last full read of the store, kept for the synchronous unload flush
+      this.snapshot = new Map();
+      this.writes = new Set();
+      // Storage is opened on first use, which is after consent
+      this.ready = null;
+      // Set when events may have been added since the last read
+      this.changed = true;
+      this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(QUEUE_CHANNEL) : null;
+      if (this.channel) {
+        this.channel.onmessage = () => {
+          this.changed = true;
+        };
+      }
+    }
+
+    open() {
+      if (!this.ready) {
+        this.ready = this.selectStore();
+      }
+      return this.ready;
+    }
+
+    async selectStore() {
+      if (typeof indexedDB !== 'undefined') {
         try {
-          localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.queue));
+          const store = new IdbQueueStore();
+          await store.open();
+          await this.migrateLegacy(store);
+          this.store = store;
+          return;
         } catch (err) {
-          console.error('Failed to persist queue:', err);
+          console.warn('IndexedDB unavailable, queueing events in localStorage:', err);
         }
       }
+      this.store = new LocalQueueStore();
+    }
+
+    // Moves what older versions left in localStorage into IndexedDB.
+    async migrateLegacy(store) {
+      try {
+        const legacy = new LocalQueueStore().read();
+        if (legacy.length > 0) {
+          await store.put(legacy);
+        }
+        localStorage.removeItem(LEGACY_QUEUE_KEY);
+      } catch (err) {
+        console.error('Failed to migrate stored queue:', err);
+      }
+    }
+
+    async add(evt) {
+      const record = toRecord({ id: newQueueId(), created_at: Date.now(), event: evt });
+      this.unsaved.set(record.id, record);
+      this.changed = true;
+      const write = this.open()
+        .then(() => this.putWithEviction(record))
+        .then(() => {
+          this.unsaved.delete(record.id);
+          this.channel?.postMessage('added');
+        });
+      this.writes.add(write);
+      try {
+        await write;
+      } catch (err) {
+        // Stays in `unsaved`, so this tab can still send it
+        console.error('Failed to store event:', err);
+      } finally {
+        this.writes.delete(write);
+      }
+      return record;
     }
 
-    add(evt) {
-      this.queue.push(evt);
+    // Storage full: evict down to 80% of the size limit and try once more.
+    // Past maxSize, evicts right away rather than waiting for the sender's
+    // periodic prune, which doesn't run while offline or backing off.
+    async putWithEviction(record) {
+      try {
+        await this.store.put([record]);
+      } catch (err) {
+        if (!isQuotaError(err)) throw err;
+        console.warn('Event storage full, evicting low-priority events');
+        await this.prune(Math.floor(this.maxSize * 0.8));
+        await this.store.put([record]);
+        return;
+      }
+      if ((await this.count()) > this.maxSize) {
+        await this.prune();
+      }
     }
 
-    getBatch(size = 10) {
-      return this.queue.slice(0, size);
+    // Drops events older than maxAge, then evicts down to `targetSize`:
+    // lowest priority first, oldest first within a priority.
+    async prune(targetSize = this.maxSize) {
+      const all = await this.getAll();
+      const cutoff = Date.now() - this.maxAge;
+      const expired = all.filter(r => r.created_at < cutoff);
+      const kept = all.filter(r => r.created_at >= cutoff);
+      const overflow = kept.length - targetSize;
+      const evicted = overflow > 0
+        ? kept
+          .map((r, order) => ({ r, order, priority: eventPriority(r.event) }))
+          .sort((a, b) => a.priority - b.priority || a.order - b.order)
+          .slice(0, overflow)
+          .map(x => x.r)
+        : [];
+
+      const dropped = [...expired, ...evicted];
+      if (dropped.length > 0) {
+        console.warn(`Dropping ${expired.length} expired and ${evicted.length} evicted events from the queue`);
+        await this.ack(dropped.map(r => r.id));
+      }
+      return dropped.length;
     }
 
-    removeBatch(size) {
-      this.queue.splice(0, size);
+    // Events the API permanently rejected are kept (bounded) for inspection
+    // in the debug panel instead of blocking the queue.
+    async deadLetter(records, { status = null, error = null } = {}) {
+      const letters = this.getDeadLetters();
+      records.forEach(r => letters.push({
+        id: r.id,
+        at: Date.now(),
+        status,
+        error,
+        event: r.event
+      }));
+      try {
+        localStorage.setItem(DEAD_LETTER_KEY, JSON.stringify(letters.slice(-this.maxDeadLetters)));
+      } catch (err) {
+        console.error('Failed to store dead letters:', err);
+      }
+      await this.ack(records.map(r => r.id));
     }
 
-    get length() {
-      return this.queue.length;
+    getDeadLetters() {
+      try {
+        const letters = JSON.parse(localStorage.getItem(DEAD_LETTER_KEY) || '[]');
+        return Array.isArray(letters) ? letters : [];
+      } catch (err) {
+        return [];
+      }
+    }
+
+    clearDeadLetters() {
+      try {
+        localStorage.removeItem(DEAD_LETTER_KEY);
+      } catch (err) {
+        console.error('Failed to clear dead letters:', err);
+      }
+    }
+
+    // Resolves once every event added so far has been written.
+    async persistQueue() {
+      await Promise.all(Array.from(this.writes).map(w => w.catch(() => {})));
+    }
+
+    // Oldest stored events first, skipping ids in `exclude`.
+    async getBatch(size = 10, exclude = new Set()) {
+      const all = await this.getAll();
+      return all.filter(r => !exclude.has(r.id)).slice(0, size);
+    }
+
+    async getAll() {
+      await this.open();
+      const stored = await this.store.getAll();
+      this.snapshot = new Map(stored.map(r => [r.id, r]));
+      const unsaved = Array.from(this.unsaved.values()).filter(r => !this.snapshot.has(r.id));
+      return [...stored, ...unsaved].sort((a, b) => (a.id < b.id ? -1 : 1));
+    }
+
+    async count() {
+      return (await this.getAll()).length;
+    }
+
+    async ack(ids) {
+      if (ids.length === 0) return;
+      ids.forEach(id => {
+        this.unsaved.delete(id);
+        this.snapshot.delete(id);
+      });
+      await this.open();
+      await this.store.remove(ids);
+    }
+
+    // Removes every queued event and dead letter (consent withdrawn).
+    async clear() {
+      this.unsaved.clear();
+      this.snapshot.clear();
+      this.clearDeadLetters();
+      await this.open();
+      const all = await this.store.getAll();
+      await this.store.remove(all.map(r => r.id));
+    }
+
+    // What an unloading tab can still send, without waiting on storage. The
+    // sending tab knows the whole queue; other tabs only their unwritten events.
+    pendingForFlush(includeStored) {
+      const records = new Map(includeStored ? this.snapshot : []);
+      this.unsaved.forEach((r, id) => records.set(id, r));
+      return Array.from(records.values());
+    }
+  }
+
+  // Makes sure only one tab sends. Web Locks hand the lock to the next tab when
+  // the holder closes; without them, tabs compete for a lease in localStorage.
+  class SenderElection {
+    constructor() {
+      this.tabId = newQueueId();
+      this.isLeader = false;
+      this.releaseLock = null;
+      this.leaseTimer = null;
+    }
+
+    start() {
+      if (navigator.locks?.request) {
+        if (this.releaseLock) return;
+        navigator.locks.request(SENDER_LOCK, () => {
+          this.isLeader = true;
+          return new Promise(resolve => {
+            this.releaseLock = resolve;
+          });
+        }).catch(err => {
+          console.error('Sender lock failed:', err);
+        });
+        return;
+      }
+      this.renewLease();
+      if (!this.leaseTimer) {
+        this.leaseTimer = setInterval(() => this.renewLease(), LEASE_MS / 2);
+      }
+    }
+
+    renewLease() {
+      try {
+        const now = Date.now();
+        const lease = JSON.parse(localStorage.getItem(LEASE_KEY) || 'null');
+        if (!lease || lease.tabId === this.tabId || lease.expires < now) {
+          localStorage.setItem(LEASE_KEY, JSON.stringify({ tabId: this.tabId, expires: now + LEASE_MS }));
+        }
+        // Read back: another tab may have written in between
+        this.isLeader = JSON.parse(localStorage.getItem(LEASE_KEY) || 'null')?.tabId === this.tabId;
+      } catch (err) {
+        // No storage to coordinate through, so send from this tab
+        this.isLeader = true;
+      }
+    }
+
+    release() {
+      this.isLeader = false;
+      if (this.releaseLock) {
+        this.releaseLock();
+        this.releaseLock = null;
+        return;
+      }
+      clearInterval(this.leaseTimer);
+      this.leaseTimer = null;
+      try {
+        const lease = JSON.parse(localStorage.getItem(LEASE_KEY) || 'null');
+        if (lease?.tabId === this.tabId) {
+          localStorage.removeItem(LEASE_KEY);
+        }
+      } catch (err) {
+        console.error('Failed to release sender lease:', err);
+      }
     }
   }
 
@@ -125,6 +538,7 @@
         this.validateConfig(config);
         this.initializeCore(config);
         this.setupState();
+        this.setupConsent();
         this.setupEventProcessing();
         this.setupCleanupTasks();
         PostgresReporter.instance = this;
@@ -162,7 +576,12 @@
         retryAttempts: config.retryAttempts || 3,
         retryDelay: config.retryDelay || 1000,
         batchSize: config.batchSize || 10,
-        maxConsecutiveFailures: config.maxConsecutiveFailures || 3
+        maxConsecutiveFailures: config.maxConsecutiveFailures || 3,
+        maxQueueSize: config.maxQueueSize || 500,
+        maxEventAge: config.maxEventAge || 7 * 24 * 60 * 60 * 1000,
+        // Server errors a single event may cause before it is dead-lettered
+        maxEventAttempts: config.maxEventAttempts || 5,
+        maxBackoff: config.maxBackoff || 30 * 60 * 1000
       };
 
       this.shopDomain = window.Shopify?.shop || window.location.hostname;
@@ -172,52 +591,363 @@
 
     setupState() {
       this.rateLimiter = new RateLimiter();
-      this.deduplicator = new EventDeduplicator();
-      this.queueManager = new QueueManager();
+      this.sentLog = new SentEventLog(this.config.maxEventAge);
+      this.queueManager = new QueueManager({
+        maxSize: this.config.maxQueueSize,
+        maxAge: this.config.maxEventAge
+      });
+      this.election = new SenderElection();
       this.isProcessing = false;
       this.failedAttempts = 0;
+      // Queue ids being sent by processQueue, and by keepalive flushes
+      this.inFlightIds = new Set();
+      this.flushingIds = new Set();
+      // Body bytes of keepalive requests not yet settled
+      this.keepaliveBytes = 0;
+      this.processingInterval = null;
+      this.lastReadAt = 0;
+      this.backoffTimer = null;
+      this.backoffRound = 0;
+      // Reduced batch size while isolating a failing event, and how often
+      // each queued event has failed
+      this.splitSize = null;
+      this.eventAttempts = new Map();
+      this.lastPruneAt = 0;
+      // Most recent send failures, newest last (shown by the debug panel)
+      this.sendFailures = [];
+      // Fields added to every event's event_data (see setContext)
+      this.context = {};
+    }
+
+    // Before consent, events wait in memory ('queue' mode) or are dropped
+    // ('assignment-only'); the queue storage isn't touched until then.
+    setupConsent() {
+      this.consent = this.core.consent;
+      this.consentBuffer = this.restoreRedirectBuffer();
+      this.consent.onChange(granted => {
+        if (granted) {
+          this.onConsentGranted();
+        } else {
+          this.onConsentWithdrawn();
+        }
+      });
+    }
+
+    async onConsentGranted() {
+      try {
+        // TrackingCore keeps the in-memory IDs these events carry
+        const buffered = this.consentBuffer.splice(0);
+        for (const evt of buffered) {
+          await this.queueManager.add(evt);
+        }
+        this.election.start();
+        this.startProcessing();
+      } catch (err) {
+        console.error('Failed to start reporting after consent:', err);
+      }
+    }
+
+    // Events a redirect test buffered on the previous page. They carried that
+    // page's in-memory IDs; this page's are the ones consent will store.
+    restoreRedirectBuffer() {
+      try {
+        const stored = JSON.parse(sessionStorage.getItem(REDIRECT_BUFFER_KEY) || '[]');
+        sessionStorage.removeItem(REDIRECT_BUFFER_KEY);
+        if (!Array.isArray(stored) || this.consent.mode !== 'queue') return [];
+        const { userId, sessionId } = this.core.getTrackingIds();
+        return stored
+          .filter(evt => evt?.type && evt?.data)
+          .slice(-this.config.maxQueueSize)
+          .map(evt => ({ ...evt, data: { ...evt.data, user_id: userId, session_id: sessionId } }));
+      } catch (err) {
+        console.error('Failed to restore events buffered before a redirect:', err);
+        return [];
+      }
+    }
+
+    // Without consent, the buffer lives only in memory and would be lost with
+    // the page; sessionStorage carries it to the redirect's destination.
+    stashRedirectBuffer() {
+      if (this.consent.hasConsent() || this.consentBuffer.length === 0) return;
+      try {
+        sessionStorage.setItem(REDIRECT_BUFFER_KEY, JSON.stringify(this.consentBuffer));
+      } catch (err) {
+        console.error('Failed to keep buffered events for the redirect:', err);
+      }
+    }
+
+    async onConsentWithdrawn() {
+      try {
+        this.stopProcessing();
+        this.election.release();
+        this.consentBuffer = [];
+        this.sentLog.clear();
+        await this.queueManager.clear();
+      } catch (err) {
+        console.error('Failed to purge events after consent withdrawal:', err);
+      }
     }
 
     setupEventProcessing() {
-      let processingInterval;
-      const processQueue = async () => {
-        if (this.isProcessing || this.queueManager.length === 0) return;
-        if (this.failedAttempts >= this.config.maxConsecutiveFailures) {
-          clearInterval(processingInterval);
-          setTimeout(() => {
-            this.failedAttempts = 0;
-            this.setupEventProcessing();
-          }, 60000);
+      if (this.consent.hasConsent()) {
+        // Also queues events a redirect carried over, if consent came meanwhile
+        this.onConsentGranted();
+      }
+
+      // Hidden is the last event mobile browsers reliably deliver
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+          this.flushOnUnload();
+        }
+      });
+      // pagehide also fires for pages entering the back/forward cache
+      window.addEventListener('pagehide', () => {
+        this.flushOnUnload();
+        this.stopProcessing();
+        this.election.release();
+      });
+      window.addEventListener('pageshow', (e) => {
+        if (e.persisted && this.consent.hasConsent()) {
+          this.election.start();
+          this.startProcessing();
+        }
+      });
+    }
+
+    startProcessing() {
+      if (this.processingInterval || this.backoffTimer) return;
+      this.processingInterval = setInterval(() => this.processQueue(), 100);
+    }
+
+    stopProcessing() {
+      clearInterval(this.processingInterval);
+      this.processingInterval = null;
+    }
+
+    async processQueue() {
+      if (this.isProcessing || !this.election.isLeader) return;
+      if (!this.queueManager.changed && Date.now() - this.lastReadAt < IDLE_POLL_MS) return;
+      if (this.failedAttempts >= this.config.maxConsecutiveFailures) {
+        this.backOff();
+        return;
+      }
+      this.isProcessing = true;
+      let batch = [];
+      try {
+        if (Date.now() - this.lastPruneAt > 60000) {
+          this.lastPruneAt = Date.now();
+          await this.queueManager.prune();
+        }
+        // Cleared before reading, so an add() during the read isn't missed
+        this.queueManager.changed = false;
+        this.lastReadAt = Date.now();
+        const records = await this.queueManager.getBatch(this.splitSize || this.config.batchSize, this.flushingIds);
+        if (records.length > 0) {
+          this.queueManager.changed = true;
+        }
+        const { unsent, sent } = this.sentLog.partition(records);
+        if (sent.length > 0) {
+          await this.queueManager.ack(sent.map(r => r.id));
+        }
+        batch = unsent;
+        if (batch.length === 0) return;
+        batch.forEach(r => this.inFlightIds.add(r.id));
+        await this.sendEvents(batch.map(r => r.event));
+        this.sentLog.markSent(batch.map(r => r.event?.data?.event_id));
+        await this.queueManager.ack(batch.map(r => r.id));
+        batch.forEach(r => this.eventAttempts.delete(r.id));
+        this.failedAttempts = 0;
+        this.backoffRound = 0;
+        if (this.splitSize) {
+          this.splitSize = Math.min(this.splitSize * 2, this.config.batchSize);
+        }
+      } catch (err) {
+        this.recordSendFailure(err);
+        console.error('Failed to process event batch:', err);
+        await this.handleBatchFailure(batch, err);
+      } finally {
+        this.isProcessing = false;
+        this.inFlightIds.clear();
+      }
+    }
+
+    // A rejected batch is halved until the event causing it is alone; that
+    // event then goes to the dead-letter store so the rest of the queue moves.
+    // Network errors (no status) and 4xx responses not about the events
+    // (wrong key, unknown shop) only count towards the backoff; the events stay.
+    async handleBatchFailure(batch, err) {
+      try {
+        const permanent = isEventFailure(err);
+        if (!err?.status || batch.length === 0 || (isPermanentFailure(err) && !permanent)) {
+          this.failedAttempts++;
           return;
         }
-        this.isProcessing = true;
-        try {
-          const batch = this.queueManager.getBatch(this.config.batchSize);
-          await this.sendEvents(batch);
-          this.queueManager.removeBatch(batch.length);
-          this.failedAttempts = 0;
-        } catch (err) {
+
+        if (batch.length > 1) {
+          this.splitSize = Math.ceil(batch.length / 2);
+          if (!permanent) this.failedAttempts++;
+          return;
+        }
+
+        const [record] = batch;
+        const attempts = (this.eventAttempts.get(record.id) || 0) + 1;
+        this.eventAttempts.set(record.id, attempts);
+        if (permanent || attempts >= this.config.maxEventAttempts) {
+          this.eventAttempts.delete(record.id);
+          await this.queueManager.deadLetter(batch, { status: err.status, error: err.message });
+          console.warn(`Event ${record.event?.data?.event_name} dead-lettered after HTTP ${err.status}`);
+        } else {
           this.failedAttempts++;
-          console.error('Failed to process event batch:', err);
-        } finally {
-          this.isProcessing = false;
         }
+      } catch (e) {
+        console.error('Failed to handle batch failure:', e);
+      }
+    }
+
+    // Pauses sending with exponential backoff (plus jitter) after repeated
+    // failures, up to maxBackoff.
+    backOff() {
+      if (this.backoffTimer) return;
+      this.stopProcessing();
+      const delay = Math.min(60000 * 2 ** this.backoffRound, this.config.maxBackoff);
+      this.backoffRound++;
+      this.backoffTimer = setTimeout(() => {
+        this.backoffTimer = null;
+        this.failedAttempts = 0;
+        this.startProcessing();
+      }, delay * (1 + Math.random() * 0.2));
+    }
+
+    // Sends what is still queued while the page may be going away. The batch
+    // processQueue has in flight went out with keepalive and is left alone.
+    // Keepalive sends are acknowledged when the API answers; if the page is
+    // gone by then, the events stay stored and the next sending tab resends them.
+    flushOnUnload() {
+      try {
+        const skip = new Set([...this.inFlightIds, ...this.flushingIds]);
+        const { unsent: records } = this.sentLog.partition(
+          this.queueManager.pendingForFlush(this.election.isLeader).filter(r => !skip.has(r.id))
+        );
+        let budget = KEEPALIVE_BUDGET - this.keepaliveBytes;
+
+        this.chunkEvents(records).forEach(chunk => {
+          if (chunk.bytes > MAX_CHUNK_BYTES) {
+            // A single oversized event: only a regular request can carry it
+            return;
+          }
+          if (supportsKeepalive() && chunk.bytes <= budget) {
+            budget -= chunk.bytes;
+            this.sendKeepalive(chunk);
+          } else if (this.sendBeacon(chunk.body)) {
+            // A queued beacon is the only confirmation we will ever get
+            this.sentLog.markSent(chunk.eventIds);
+            this.queueManager.persistQueue().then(() => this.queueManager.ack(chunk.ids))
+              .catch(err => console.error('Failed to remove beaconed events:', err));
+          }
+        });
+      } catch (err) {
+        console.error('Failed to flush event queue:', err);
+      }
+    }
+
+    // Splits queue records into JSON array bodies of at most MAX_CHUNK_BYTES.
+    chunkEvents(records) {
+      const chunks = [];
+      let current = { ids: [], eventIds: [], parts: [], bytes: 2 };
+      const close = () => {
+        if (current.ids.length === 0) return;
+        chunks.push({
+          ids: current.ids,
+          eventIds: current.eventIds,
+          body: `[${current.parts.join(',')}]`,
+          bytes: current.bytes
+        });
+        current = { ids: [], eventIds: [], parts: [], bytes: 2 };
       };
 
-      processingInterval = setInterval(processQueue, 100);
-      document.addEventListener('visibilitychange', () => {
-        if (document.visibilityState === 'hidden') {
-          this.queueManager.persistQueue();
-          clearInterval(processingInterval);
-        } else {
-          this.setupEventProcessing();
+      records.forEach(record => {
+        const json = JSON.stringify(this.withEventId(record.event));
+        const size = byteLength(json) + 1;
+        if (current.bytes + size > MAX_CHUNK_BYTES) {
+          close();
         }
+        current.ids.push(record.id);
+        current.eventIds.push(record.event.data.event_id);
+        current.parts.push(json);
+        current.bytes += size;
+      });
+      close();
+      return chunks;
+    }
+
+    sendKeepalive({ ids, eventIds, body, bytes }) {
+      this.keepaliveBytes += bytes;
+      ids.forEach(id => this.flushingIds.add(id));
+      fetch(this.config.apiEndpoint, {
+        method: 'POST',
+        headers: this.requestHeaders(this.core.generateUUID()),
+        mode: 'cors',
+        credentials: 'omit',
+        keepalive: true,
+        body
+      }).then(r => {
+        if (!r.ok) throw new Error(`HTTP error: ${r.status}`);
+        this.sentLog.markSent(eventIds);
+        return this.queueManager.ack(ids);
+      }).catch(err => {
+        console.error('Keepalive flush failed:', err);
+      }).finally(() => {
+        this.keepaliveBytes -= bytes;
+        ids.forEach(id => this.flushingIds.delete(id));
       });
     }
 
+    // Beacons can't carry headers, and a JSON content type would need a CORS
+    // preflight, so the body goes as text/plain and auth moves to the query.
+    sendBeacon(body) {
+      if (typeof navigator.sendBeacon !== 'function') return false;
+      try {
+        const url = new URL(this.config.apiEndpoint);
+        url.searchParams.set('api_key', this.config.apiKey);
+        url.searchParams.set('shop', this.shopDomain);
+        url.searchParams.set('batch_id', this.core.generateUUID());
+        return navigator.sendBeacon(url.toString(), new Blob([body], { type: 'text/plain;charset=UTF-8' }));
+      } catch (err) {
+        console.error('Beacon flush failed:', err);
+        return false;
+      }
+    }
+
+    requestHeaders(batchId) {
+      return {
+        'Content-Type': 'application/json',
+        'X-API-Key': this.config.apiKey,
+        'x-shop-id': window.Shopify?.shop || window.location.hostname,
+        'X-Batch-Id': batchId
+      };
+    }
+
+    // Events queued by older versions of this script have no event_id yet.
+    withEventId(evt) {
+      if (evt?.data && !evt.data.event_id) {
+        evt.data.event_id = this.core.generateUUID();
+        evt.data.schema_version = evt.data.schema_version || 0;
+      }
+      return evt;
+    }
+
+    recordSendFailure(err) {
+      this.sendFailures.push({ at: Date.now(), error: err?.message || String(err) });
+      if (this.sendFailures.length > 20) {
+        this.sendFailures.shift();
+      }
+    }
+
     setupCleanupTasks() {
       setInterval(() => {
-        this.deduplicator.cleanup();
+        if (this.consent.hasConsent()) {
+          this.sentLog.cleanup();
+        }
         this.assignmentManager.cleanup();
       }, 60 * 60 * 1000);
     }
@@ -284,12 +1014,7 @@
           tested_variant: asg.tested_variant || null
         });
 
-        if (this.deduplicator.isDuplicate(evt)) {
-          return;
-        }
-
         await this.queueEvent(evt);
-        this.deduplicator.markProcessed(evt);
       } catch (err) {
         console.error('Failed to track impression:', err);
         throw err;
@@ -305,18 +1030,44 @@
           shop_domain: this.shopDomain
         });
 
-        if (this.deduplicator.isDuplicate(evt)) {
-          return;
-        }
-
         await this.queueEvent(evt);
-        this.deduplicator.markProcessed(evt);
       } catch (err) {
         console.error('Failed to track impression:', err);
         throw err;
       }
     }
 
+    // Redirect tests leave the page right away, so the assignment and the
+    // impression are recorded here, against the original URL, and the queue
+    // (or, before consent, the buffer) is persisted for the destination page to send.
+    async trackRedirect(asg, { originalUrl, redirectUrl, isNewAssignment = false }) {
+      try {
+        const details = {
+          test_id: asg.testId,
+          assigned_variant: asg.assigned_variant,
+          tested_variant: asg.tested_variant || null,
+          page_group: asg.pageGroup,
+          shop_domain: this.shopDomain,
+          original_url: originalUrl,
+          redirect_url: redirectUrl
+        };
+
+        if (isNewAssignment) {
+          await this.queueEvent(this.createEventPayload('test_assignment', 'system', {
+            ...details,
+            assignment_type: asg.type,
+            assignment_mode: asg.mode
+          }));
+        }
+        await this.queueEvent(this.createEventPayload('test_impression', 'test', details));
+      } catch (err) {
+        console.error('Failed to track redirect:', err);
+      } finally {
+        await this.queueManager.persistQueue();
+        this.stashRedirectBuffer();
+      }
+    }
+
     // New dedicated method to track exposure events independently.
     async trackExposureEvent(asg) {
       try {
@@ -336,6 +1087,12 @@
       }
     }
 
+    // e.g. setContext({ config_version: 12 }) once the test config is known.
+    // Fields passed to createEventPayload take precedence.
+    setContext(context = {}) {
+      this.context = { ...this.context, ...context };
+    }
+
     createEventPayload(eventName, eventType, eventData = {}) {
       try {
         const { userId, sessionId } = this.core.getTrackingIds();
@@ -343,20 +1100,28 @@
           throw new Error('Missing user or session ID');
         }
 
-        const allAssignments = this.assignmentManager.getAllAssignments() || [];
+        // QA-forced assignments never reach reporting
+        const allAssignments = (this.assignmentManager.getAllAssignments() || [])
+          .filter(a => a.mode !== AssignmentManager.QA_MODE);
         const test_assignments = {};
         allAssignments.forEach(a => {
           test_assignments[a.testId] = {
             assigned_variant: a.assigned_variant,
+            tested_variant: a.tested_variant ?? null,
             type: a.type,
             mode: a.mode,
-            group: a.pageGroup
+            group: a.pageGroup,
+            layer: a.layer || null,
+            weights: a.weights || null,
+            allocation: a.allocation || null
           };
         });
 
         const payload = {
           type: eventType,
           data: {
+            event_id: this.core.generateUUID(),
+            schema_version: EVENT_SCHEMA_VERSION,
             session_id: sessionId,
             user_id: userId,
             event_name: eventName,
@@ -364,9 +1129,11 @@
             client_timestamp: new Date().toISOString(),
             timezone_offset: new Date().getTimezoneOffset(),
             event_data: {
+              ...this.context,
               ...eventData,
               test_assignments,
               path: this.cleanPath(window.location.pathname),
+              device_class: this.core.getDeviceClass(),
               template: window.Shopify?.template
                         || document.body?.getAttribute('data-template')
                         || window.location.pathname.split('/')[1]
@@ -395,8 +1162,18 @@
         if (!evt.data.user_id || !evt.data.session_id) {
           throw new Error('Missing user/session ID');
         }
+        const testId = evt.data.event_data?.test_id;
+        if (testId && this.assignmentManager.isQaForced(testId)) {
+          return;
+        }
+        if (!this.consent.hasConsent()) {
+          if (this.consent.mode === 'queue' && this.consentBuffer.length < this.config.maxQueueSize) {
+            this.consentBuffer.push(evt);
+          }
+          return;
+        }
         await this.rateLimiter.checkLimit();
-        this.queueManager.add(evt);
+        await this.queueManager.add(evt);
       } catch (err) {
         console.error('Failed to queue event:', err);
         throw err;
@@ -411,29 +1188,51 @@
           throw new Error(`Found ${invalid.length} events missing user/session ID`);
         }
 
-        const shopId = window.Shopify?.shop || window.location.hostname;
+        const body = JSON.stringify(events.map(e => this.withEventId(e)));
+        const bytes = byteLength(body);
+        // Same id on every retry, so the collector can recognize a resend
+        const batchId = this.core.generateUUID();
         const resp = await this.core.withRetry(async () => {
-          const r = await fetch(this.config.apiEndpoint, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'X-API-Key': this.config.apiKey,
-              'x-shop-id': shopId
-            },
-            mode: 'cors',
-            credentials: 'omit',
-            body: JSON.stringify(events)
-          });
+          // keepalive lets the request finish if the page unloads mid-send
+          const keepalive = supportsKeepalive()
+            && bytes <= MAX_CHUNK_BYTES
+            && this.keepaliveBytes + bytes <= KEEPALIVE_BUDGET;
+          if (keepalive) {
+            this.keepaliveBytes += bytes;
+          }
+          try {
+            const r = await fetch(this.config.apiEndpoint, {
+              method: 'POST',
+              headers: this.requestHeaders(batchId),
+              mode: 'cors',
+              credentials: 'omit',
+              keepalive,
+              body
+            });
 
-          if (!r.ok) {
-            const errorText = await r.text();
-            console.error('API Error Response:', errorText);
-            throw new Error(`HTTP error: ${r.status}`);
+            if (!r.ok) {
+              const errorText = await r.text();
+              console.error('API Error Response:', errorText);
+              const error = new Error(`HTTP error: ${r.status}`);
+              error.status = r.status;
+              try {
+                // 400s list the invalid events by index
+                error.details = JSON.parse(errorText).details || null;
+              } catch (e) {
+                error.details = null;
+              }
+              throw error;
+            }
+            return r.json();
+          } finally {
+            if (keepalive) {
+              this.keepaliveBytes -= bytes;
+            }
           }
-          return r.json();
         }, {
           maxRetries: this.config.retryAttempts,
-          baseDelay: this.config.retryDelay
+          baseDelay: this.config.retryDelay,
+          shouldRetry: (err) => !isPermanentFailure(err)
         });
 
         return resp;
@@ -479,7 +1278,9 @@
       retryAttempts: 3,
       retryDelay: 1000,
       batchSize: 10,
-      maxConsecutiveFailures: 3
+      maxConsecutiveFailures: 3,
+      maxQueueSize: window.abTestingConfig?.maxQueueSize,
+      maxEventAge: window.abTestingConfig?.maxEventAge
     };
 
     PostgresReporter.initialize(config);
@@ -1,5 +1,10 @@
 /* Core utilities for tracking
-   Manages user/session IDs in localStorage, plus retry logic for fetch */
+   Manages user/session IDs in localStorage, plus retry logic for fetch.
+   With abTestingConfig.requireConsent, IDs are only stored once the visitor
+   allows analytics (Shopify Customer Privacy API, or a custom provider:
+     window.abTestingConsentProvider = { analyticsAllowed: () => bool, subscribe: (cb) => {} }).
+   consentMode: 'queue' (default) keeps events in memory until consent,
+   'assignment-only' applies variants but drops events. */
 
 (function(){
   if (window.TrackingCore) {
@@ -7,6 +12,92 @@
     return;
   }
 
+  // In-memory IDs used before consent, shared by every TrackingCore instance
+  let ephemeralIds = null;
+
+  class ConsentManager {
+    constructor(config = {}) {
+      this.required = Boolean(config.requireConsent);
+      this.mode = config.consentMode === 'assignment-only' ? 'assignment-only' : 'queue';
+      this.listeners = new Set();
+      this.granted = this.required ? this.readConsent() : true;
+      if (this.required) {
+        this.watch();
+      }
+    }
+
+    static getInstance() {
+      if (!ConsentManager.instance) {
+        ConsentManager.instance = new ConsentManager(window.abTestingConfig || {});
+      }
+      return ConsentManager.instance;
+    }
+
+    readConsent() {
+      try {
+        const provider = window.abTestingConsentProvider;
+        if (typeof provider?.analyticsAllowed === 'function') {
+          return Boolean(provider.analyticsAllowed());
+        }
+        const privacy = window.Shopify?.customerPrivacy;
+        if (typeof privacy?.analyticsProcessingAllowed === 'function') {
+          return Boolean(privacy.analyticsProcessingAllowed());
+        }
+      } catch(err) {
+        console.error('Error reading consent:', err);
+      }
+      // Not known yet: treat as not given
+      return false;
+    }
+
+    watch() {
+      const refresh = () => this.update(this.readConsent());
+      try {
+        const provider = window.abTestingConsentProvider;
+        if (typeof provider?.subscribe === 'function') {
+          provider.subscribe(refresh);
+        }
+        // Fired by Shopify's cookie banner whenever the visitor makes a choice
+        document.addEventListener('visitorConsentCollected', refresh);
+        // The Customer Privacy API isn't on every page until it's requested
+        if (!window.Shopify?.customerPrivacy && typeof window.Shopify?.loadFeatures === 'function') {
+          window.Shopify.loadFeatures([{ name: 'consent-tracking-api', version: '0.1' }], (err) => {
+            if (err) {
+              console.error('Failed to load Customer Privacy API:', err);
+              return;
+            }
+            refresh();
+          });
+        }
+      } catch(err) {
+        console.error('Error watching consent:', err);
+      }
+    }
+
+    update(granted){
+      if (granted === this.granted) {
+        return;
+      }
+      this.granted = granted;
+      this.listeners.forEach(cb => {
+        try {
+          cb(granted);
+        } catch(err) {
+          console.error('Consent listener failed:', err);
+        }
+      });
+    }
+
+    hasConsent(){
+      return this.granted;
+    }
+
+    onChange(cb){
+      this.listeners.add(cb);
+      return () => this.listeners.delete(cb);
+    }
+  }
+
   class TrackingCore {
     constructor(config = {}) {
       this.idConfig = {
@@ -14,6 +105,7 @@
         sessionIdKey: 'pg_session_id',
         sessionTimeout: 30 * 60 * 1000,
         lastActivityKey: 'hw-tracking-last-activity',
+        firstSessionKey: 'hw-tracking-first-session',
         storage: { local: true, cookie: true }
       };
 
@@ -25,14 +117,33 @@
       };
 
       this.storagePrefix = 'hw-tracking-';
+      this.consent = ConsentManager.getInstance();
       this.initializeIds();
       this.setupActivityTracking();
+      this.consent.onChange(granted => {
+        if (granted) {
+          this.initializeIds();
+        } else {
+          this.purgeIds();
+        }
+      });
     }
 
     initializeIds(){
       try {
+        if (!this.consent.hasConsent()) {
+          ephemeralIds = ephemeralIds || { userId: this.generateUUID(), sessionId: this.generateUUID() };
+          this.userId = ephemeralIds.userId;
+          this.sessionId = ephemeralIds.sessionId;
+          this.isNewUser = true;
+          return;
+        }
+        this.isNewUser = false;
         this.userId = this.getUserId();
         this.sessionId = this.getSessionId();
+        if (this.isNewUser) {
+          localStorage.setItem(this.idConfig.firstSessionKey, this.sessionId);
+        }
         this.syncIds();
       } catch(err) {
         console.error('Error during ID init:', err);
@@ -40,6 +151,9 @@
     }
 
     generateUUID(){
+      if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+        return crypto.randomUUID();
+      }
       return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
         const r = Math.random() * 16 | 0;
         const v = (c === 'x' ? r : (r & 0x3 | 0x8));
@@ -53,7 +167,14 @@
         if (existing && existing !== 'undefined') {
           return existing;
         }
-        const newId = this.generateUUID();
+        // localStorage cleared: the cookie keeps the visitor in their bucket
+        const fromCookie = this.getCookie('pg_user_id');
+        if (fromCookie && fromCookie !== 'undefined') {
+          return fromCookie;
+        }
+        // Events queued before consent already carry the in-memory ID
+        const newId = ephemeralIds?.userId || this.generateUUID();
+        this.isNewUser = true;
         return newId;
       } catch(err) {
         console.error('Error managing user ID:', err);
@@ -61,6 +182,21 @@
       }
     }
 
+    // Visitors stay "new" for the whole session in which their user ID was
+    // created. IDs created before we recorded the first session count as returning.
+    isReturningVisitor(){
+      if (!this.consent.hasConsent()) {
+        return false;
+      }
+      try {
+        const firstSession = localStorage.getItem(this.idConfig.firstSessionKey);
+        return !firstSession || firstSession !== this.sessionId;
+      } catch(err) {
+        console.error('Error reading first session:', err);
+        return false;
+      }
+    }
+
     getSessionId(){
       try {
         const now = Date.now();
@@ -69,7 +205,7 @@
         const expired = (now - lastActivity) > this.idConfig.sessionTimeout;
 
         if (!sessionId || expired) {
-          const newSession = this.generateUUID();
+          const newSession = ephemeralIds?.sessionId || this.generateUUID();
           localStorage.setItem(this.idConfig.sessionIdKey, newSession);
           localStorage.setItem(this.idConfig.lastActivityKey, now.toString());
           return newSession;
@@ -116,15 +252,28 @@
       }
     }
 
+    // Consent withdrawn: forget the stored IDs and go back to in-memory ones.
+    purgeIds(){
+      try {
+        const { userIdKey, sessionIdKey, lastActivityKey, firstSessionKey } = this.idConfig;
+        [userIdKey, sessionIdKey, lastActivityKey, firstSessionKey].forEach(k => localStorage.removeItem(k));
+        this.setCookie('pg_user_id', '', 0);
+        this.setCookie('pg_session_id', '', 0);
+      } catch(err) {
+        console.error('Error purging IDs:', err);
+      }
+      this.initializeIds();
+    }
+
     setupActivityTracking(){
       const updateInterval = setInterval(() => {
-        if (document.visibilityState === 'visible') {
+        if (document.visibilityState === 'visible' && this.consent.hasConsent()) {
           localStorage.setItem(this.idConfig.lastActivityKey, Date.now().toString());
         }
       }, 60000);
 
       document.addEventListener('visibilitychange', () => {
-        if (document.visibilityState === 'visible') {
+        if (document.visibilityState === 'visible' && this.consent.hasConsent()) {
           const now = Date.now();
           const lastActivity = parseInt(localStorage.getItem(this.idConfig.lastActivityKey) || '0');
           if ((now - lastActivity) > this.idConfig.sessionTimeout) {
@@ -177,6 +326,10 @@
           return result;
         } catch(err) {
           lastError = err;
+          // e.g. a 4xx response, which will fail the same way every time
+          if (config.shouldRetry && !config.shouldRetry(err)) {
+            break;
+          }
           if (attempt < config.maxRetries - 1) {
             const delay = Math.min(
               config.baseDelay * Math.pow(2, attempt) + Math.random() * 1000,
@@ -189,6 +342,36 @@
       throw lastError;
     }
 
+    // 'mobile', 'tablet' or 'desktop'. User-agent hints win; the viewport
+    // only decides when the UA doesn't say either way.
+    getDeviceClass(){
+      try {
+        const ua = navigator.userAgent || '';
+        const touch = (navigator.maxTouchPoints || 0) > 1;
+        if (/iPad|Tablet|PlayBook|Silk|Kindle/i.test(ua) || (/Android/i.test(ua) && !/Mobile/i.test(ua))) {
+          return 'tablet';
+        }
+        // iPadOS Safari reports a desktop Mac user agent
+        if (/Macintosh/i.test(ua) && touch) {
+          return 'tablet';
+        }
+        if (navigator.userAgentData?.mobile || /Mobi|iPhone|iPod|Android|BlackBerry|IEMobile|Opera Mini/i.test(ua)) {
+          return 'mobile';
+        }
+        const width = window.innerWidth || document.documentElement?.clientWidth || 0;
+        if (width && width < 768) {
+          return 'mobile';
+        }
+        if (touch && width && width < 1024) {
+          return 'tablet';
+        }
+        return 'desktop';
+      } catch(err) {
+        console.error('Error detecting device class:', err);
+        return 'desktop';
+      }
+    }
+
     getTrackingIds(){
       return {
         userId: this.userId,
@@ -197,5 +380,14 @@
     }
   }
 
+  // Registered before any TrackingCore exists, so every instance picks up
+  // the same fresh in-memory IDs after a withdrawal
+  ConsentManager.getInstance().onChange(granted => {
+    if (!granted) {
+      ephemeralIds = null;
+    }
+  });
+
+  window.ConsentManager = ConsentManager;
   window.TrackingCore = TrackingCore;
 })();
\ No newline at end of file
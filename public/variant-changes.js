@@ -0,0 +1,194 @@
+/* Variant Changes
+   Applies declarative DOM changes carried by a variant in the test config:
+     variants: { "1": { changes: [
+       { selector: '.hero h1', action: 'text', value: 'Free shipping today' },
+       { selector: '.hero', action: 'attribute', attribute: 'data-style', value: 'b' },
+       { action: 'css', value: '.price { color: red; }' },
+       { selector: '.badge', action: 'hide' },
+       { selector: '.reviews', action: 'move', target: '.product-info', position: 'afterend' },
+       { selector: '.hero img', action: 'image', value: 'https://cdn.shopify.com/...' }
+     ] } }
+   Elements matching later (lazy sections, AJAX re-renders) are picked up by a
+   MutationObserver. Failures go to the onError callback.
+   Dependencies: none */
+
+(() => {
+  if (window.VariantChanges) {
+    console.warn('Variant Changes already loaded');
+    return;
+  }
+
+  const POSITIONS = ['beforebegin', 'afterbegin', 'beforeend', 'afterend'];
+
+  const ACTIONS = {
+    text: (el, change) => {
+      el.textContent = change.value ?? '';
+    },
+    html: (el, change) => {
+      el.innerHTML = change.value ?? '';
+    },
+    attribute: (el, change) => {
+      const name = change.attribute || change.name;
+      if (!name) throw new Error('attribute name missing');
+      if (change.value === null || change.value === undefined) {
+        el.removeAttribute(name);
+      } else {
+        el.setAttribute(name, change.value);
+      }
+    },
+    hide: (el) => {
+      el.style.setProperty('display', 'none', 'important');
+    },
+    move: (el, change) => {
+      const target = document.querySelector(change.target);
+      if (!target) throw new Error(`move target not found: ${change.target}`);
+      const position = POSITIONS.includes(change.position) ? change.position : 'beforeend';
+      target.insertAdjacentElement(position, el);
+    },
+    image: (el, change) => {
+      // srcset wins over src in the browser, so replace both
+      if (el.hasAttribute('srcset')) {
+        el.setAttribute('srcset', change.value);
+      }
+      el.setAttribute('src', change.value);
+    }
+  };
+
+  class VariantChanges {
+    constructor({ onError } = {}) {
+      this.onError = onError || (() => {});
+      this.entries = [];
+      this.observer = null;
+      this.scheduled = false;
+      this.missingCheckScheduled = false;
+    }
+
+    // Registers the changes for one test's variant and applies what can be applied now.
+    apply(testId, variant, changes = []) {
+      changes.forEach((change, index) => {
+        const entry = {
+          testId,
+          variant,
+          index,
+          change,
+          applied: new WeakSet(),
+          matched: 0,
+          reported: false,
+          done: false
+        };
+
+        if (change.action === 'css') {
+          this.insertCss(entry);
+          return;
+        }
+        if (!ACTIONS[change.action]) {
+          this.fail(entry, `unknown action "${change.action}"`);
+          return;
+        }
+        if (!change.selector) {
+          this.fail(entry, 'selector missing');
+          return;
+        }
+
+        this.entries.push(entry);
+        this.applyEntry(entry);
+      });
+
+      if (this.entries.length > 0) {
+        this.observe();
+        this.scheduleMissingCheck();
+      }
+    }
+
+    insertCss(entry) {
+      try {
+        const style = document.createElement('style');
+        style.setAttribute('data-ab-test', entry.testId);
+        style.textContent = entry.change.value || '';
+        (document.head || document.documentElement).appendChild(style);
+        entry.done = true;
+      } catch (err) {
+        this.fail(entry, err.message);
+      }
+    }
+
+    applyEntry(entry) {
+      if (entry.done) return;
+      let elements;
+      try {
+        elements = document.querySelectorAll(entry.change.selector);
+      } catch (err) {
+        // Invalid selector: it will never match, stop trying
+        entry.done = true;
+        this.fail(entry, err.message);
+        return;
+      }
+
+      elements.forEach(el => {
+        if (entry.applied.has(el)) return;
+        entry.applied.add(el);
+        entry.matched++;
+        try {
+          ACTIONS[entry.change.action](el, entry.change);
+        } catch (err) {
+          this.fail(entry, err.message);
+        }
+      });
+    }
+
+    // Re-applies on DOM mutations, batched to one pass per frame.
+    observe() {
+      if (this.observer || typeof MutationObserver === 'undefined') return;
+      this.observer = new MutationObserver(() => {
+        if (this.scheduled) return;
+        this.scheduled = true;
+        requestAnimationFrame(() => {
+          this.scheduled = false;
+          this.entries.forEach(entry => this.applyEntry(entry));
+        });
+      });
+      this.observer.observe(document.documentElement, { childList: true, subtree: true });
+    }
+
+    // Selectors that still match nothing once the page has loaded are reported.
+    scheduleMissingCheck() {
+      if (this.missingCheckScheduled) return;
+      this.missingCheckScheduled = true;
+      const check = () => {
+        this.entries
+          .filter(e => !e.done && e.matched === 0)
+          .forEach(e => this.fail(e, 'selector_not_found'));
+      };
+      if (document.readyState === 'complete') {
+        setTimeout(check, 1000);
+      } else {
+        window.addEventListener('load', () => setTimeout(check, 1000), { once: true });
+      }
+    }
+
+    fail(entry, error) {
+      if (entry.reported) return;
+      entry.reported = true;
+      console.warn(`Variant change failed for test ${entry.testId}:`, error, entry.change);
+      try {
+        this.onError({
+          testId: entry.testId,
+          variant: entry.variant,
+          index: entry.index,
+          action: entry.change.action,
+          selector: entry.change.selector || null,
+          error
+        });
+      } catch (err) {
+        console.error('Failed to report variant change error:', err);
+      }
+    }
+
+    disconnect() {
+      this.observer?.disconnect();
+      this.observer = null;
+    }
+  }
+
+  window.VariantChanges = VariantChanges;
+})();
\ No newline at end of file
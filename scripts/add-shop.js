@@ -0,0 +1,31 @@
+/* Registers a shop (or rotates its keys) and prints the API key to put in
+   window.abTestingConfig.apiKey, and the admin key for /api/results and
+   PUT /api/config, which must stay out of the theme. Only hashes are stored.
+   Usage: DATABASE_URL=postgres://... npm run add-shop -- my-store.myshopify.com [api-key] [admin-key] */
+
+const { getPool } = require('../lib/db');
+const { generateApiKey, normalizeShop, upsertShop } = require('../lib/auth');
+
+(async () => {
+  const [shop, givenKey, givenAdminKey] = process.argv.slice(2);
+  if (!shop) {
+    throw new Error('Usage: add-shop <shop-domain> [api-key] [admin-key]');
+  }
+  const apiKey = givenKey || generateApiKey();
+  const adminKey = givenAdminKey || generateApiKey();
+  if (adminKey === apiKey) {
+    throw new Error('The admin key must differ from the API key');
+  }
+  const pool = await getPool();
+  try {
+    await upsertShop(pool, shop, apiKey, adminKey);
+    console.log(`Shop: ${normalizeShop(shop)}`);
+    console.log(`API key: ${apiKey}`);
+    console.log(`Admin key: ${adminKey}`);
+  } finally {
+    await pool.end();
+  }
+})().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,76 @@
+/* Local stand-in for Vercel: serves /api/<name> from api/<name>.js and the
+   storefront scripts from public/.
+   Usage: DATABASE_URL=postgres://... npm run dev:api
+   With DATABASE_URL=pg-mem everything stays in memory and a shop is created
+   from DEV_SHOP / DEV_API_KEY / DEV_ADMIN_KEY (default localhost / dev-key /
+   dev-admin-key). */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { getPool } = require('../lib/db');
+const { upsertShop } = require('../lib/auth');
+
+const PORT = Number(process.env.PORT) || 3000;
+const API_DIR = path.join(__dirname, '..', 'api');
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, X-API-Key, x-shop-id, X-Batch-Id, If-None-Match',
+  'Access-Control-Expose-Headers': 'ETag'
+};
+
+const serveStatic = (req, res, pathname) => {
+  const file = path.join(PUBLIC_DIR, path.normalize(pathname).replace(/^(\.\.[/\\])+/, ''));
+  if (!file.startsWith(PUBLIC_DIR) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+    res.statusCode = 404;
+    res.end('Not found');
+    return;
+  }
+  res.setHeader('Content-Type', file.endsWith('.js') ? 'application/javascript' : 'text/plain');
+  fs.createReadStream(file).pipe(res);
+};
+
+const server = http.createServer(async (req, res) => {
+  Object.entries(CORS_HEADERS).forEach(([k, v]) => res.setHeader(k, v));
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const match = pathname.match(/^\/api\/([\w-]+)\/?$/);
+  if (!match) {
+    serveStatic(req, res, pathname);
+    return;
+  }
+
+  const handlerFile = path.join(API_DIR, `${match[1]}.js`);
+  if (!fs.existsSync(handlerFile)) {
+    res.statusCode = 404;
+    res.end('Not found');
+    return;
+  }
+  try {
+    await require(handlerFile)(req, res);
+  } catch (err) {
+    console.error(err);
+    if (!res.headersSent) {
+      res.statusCode = 500;
+    }
+    res.end();
+  }
+});
+
+(async () => {
+  if (process.env.DATABASE_URL === 'pg-mem') {
+    const shop = process.env.DEV_SHOP || 'localhost';
+    const apiKey = process.env.DEV_API_KEY || 'dev-key';
+    const adminKey = process.env.DEV_ADMIN_KEY || 'dev-admin-key';
+    await upsertShop(await getPool(), shop, apiKey, adminKey);
+    console.log(`In-memory database, shop ${shop} with API key ${apiKey} and admin key ${adminKey}`);
+  }
+  server.listen(PORT, () => {
+    console.log(`API listening on http://localhost:${PORT}`);
+  });
+})().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
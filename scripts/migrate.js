@@ -0,0 +1,18 @@
+/* Applies pending database migrations.
+   Usage: DATABASE_URL=postgres://... npm run migrate */
+
+const { getPool } = require('../lib/db');
+const { migrate } = require('../lib/migrate');
+
+(async () => {
+  const pool = await getPool();
+  try {
+    const applied = await migrate(pool, { log: console.log });
+    console.log(applied.length > 0 ? `${applied.length} migration(s) applied` : 'Database is up to date');
+  } finally {
+    await pool.end();
+  }
+})().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
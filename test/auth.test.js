@@ -0,0 +1,40 @@
+process.env.DATABASE_URL = 'pg-mem';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getPool } = require('../lib/db');
+const { upsertShop, authenticateShop, authenticateAdmin, getAdminCredentials } = require('../lib/auth');
+
+const SHOP = 'auth-test.myshopify.com';
+
+test('the API key and the admin key are not interchangeable', async () => {
+  const db = await getPool();
+  await upsertShop(db, SHOP, 'api-key', 'admin-key');
+
+  assert.deepEqual(await authenticateShop(db, SHOP, 'api-key'), { shop_domain: SHOP });
+  assert.deepEqual(await authenticateAdmin(db, SHOP, 'admin-key'), { shop_domain: SHOP });
+  assert.equal(await authenticateAdmin(db, SHOP, 'api-key'), null);
+  assert.equal(await authenticateShop(db, SHOP, 'admin-key'), null);
+  assert.equal(await authenticateAdmin(db, 'other.myshopify.com', 'admin-key'), null);
+});
+
+test('rotating the API key keeps the admin key', async () => {
+  const db = await getPool();
+  await upsertShop(db, SHOP, 'new-api-key');
+  assert.deepEqual(await authenticateAdmin(db, SHOP, 'admin-key'), { shop_domain: SHOP });
+  assert.equal(await authenticateShop(db, SHOP, 'api-key'), null);
+});
+
+test('shops without an admin key have no admin access', async () => {
+  const db = await getPool();
+  await upsertShop(db, 'no-admin.myshopify.com', 'api-key');
+  assert.equal(await authenticateAdmin(db, 'no-admin.myshopify.com', ''), null);
+  assert.equal(await authenticateAdmin(db, 'no-admin.myshopify.com', 'api-key'), null);
+});
+
+test('getAdminCredentials reads the bearer token only', () => {
+  const req = { url: '/api/results?shop=Auth-Test.myshopify.com&api_key=api-key', headers: { authorization: 'Bearer admin-key' } };
+  assert.deepEqual(getAdminCredentials(req), { shop: SHOP, adminKey: 'admin-key' });
+  assert.equal(getAdminCredentials({ url: req.url, headers: { 'x-api-key': 'api-key' } }).adminKey, '');
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { hashToUnit, bucket, pickTest, pickVariant, normalizeWeights, parseTimestamp } = require('../public/bucketing');
+
+const users = Array.from({ length: 2000 }, (_, i) => `user-${i}`);
+const share = (list, predicate) => list.filter(predicate).length / list.length;
+
+test('hashToUnit is stable and stays in [0, 1)', () => {
+  assert.equal(hashToUnit('hw-abt:user-1:traffic:product'), hashToUnit('hw-abt:user-1:traffic:product'));
+  users.forEach(u => {
+    const x = hashToUnit(u);
+    assert.ok(x >= 0 && x < 1);
+  });
+});
+
+test('the same user gets the same bucket, and the salt reshuffles users', () => {
+  assert.equal(bucket('hw-abt', 'user-1', 'traffic', 'product'), bucket('hw-abt', 'user-1', 'traffic', 'product'));
+  assert.notEqual(bucket('hw-abt', 'user-1', 'traffic', 'product'), bucket('hw-abt', 'user-1', 'traffic', 'cart'));
+  const moved = share(users, u => (bucket('a', u, 'traffic', 'product') < 0.5) !== (bucket('b', u, 'traffic', 'product') < 0.5));
+  assert.ok(moved > 0.4 && moved < 0.6);
+});
+
+test('raising traffic only adds users', () => {
+  const inTraffic = (u, percent) => bucket('hw-abt', u, 'traffic', 'product') < percent / 100;
+  const at20 = users.filter(u => inTraffic(u, 20));
+  const at50 = users.filter(u => inTraffic(u, 50));
+  assert.ok(at20.every(u => at50.includes(u)));
+  assert.ok(Math.abs(at20.length / users.length - 0.2) < 0.03);
+  assert.ok(Math.abs(at50.length / users.length - 0.5) < 0.03);
+});
+
+test('adding a test only moves the users it wins', () => {
+  const before = [{ id: 'a' }, { id: 'b' }];
+  const after = [...before, { id: 'c' }];
+  users.forEach(u => {
+    const old = pickTest('hw-abt', u, 'product', before);
+    const now = pickTest('hw-abt', u, 'product', after);
+    assert.ok(now === old || now.id === 'c');
+  });
+  const wonByC = share(users, u => pickTest('hw-abt', u, 'product', after).id === 'c');
+  assert.ok(Math.abs(wonByC - 1 / 3) < 0.04);
+});
+
+test('pickVariant follows the weights and skips zero-weight variants', () => {
+  const testObj = { id: 'hero', possibleNonZeroVariants: ['1', '2', '3'], weights: [0.75, 0, 0.25] };
+  const picks = users.map(u => pickVariant('hw-abt', u, 'product', testObj));
+  assert.equal(picks.filter(v => v === '2').length, 0);
+  assert.ok(Math.abs(share(picks, v => v === '1') - 0.75) < 0.03);
+  assert.equal(pickVariant('hw-abt', 'user-1', 'product', testObj), picks[1]);
+  assert.equal(pickVariant('hw-abt', 'user-1', 'product', { id: 'solo' }), '1');
+});
+
+test('normalizeWeights accepts arrays and comma-separated strings', () => {
+  assert.deepEqual(normalizeWeights([3, 1], 2), [0.75, 0.25]);
+  assert.deepEqual(normalizeWeights('50,25,25', 3), [0.5, 0.25, 0.25]);
+  assert.deepEqual(normalizeWeights(['1', '0'], 2), [1, 0]);
+  [undefined, null, ''].forEach(w => assert.deepEqual(normalizeWeights(w, 4), [0.25, 0.25, 0.25, 0.25]));
+});
+
+test('normalizeWeights rejects malformed weights', () => {
+  [[1], [1, 2, 3], [1, -1], [0, 0], 'a,b', { 1: 1 }, [1, Infinity]].forEach(w => {
+    assert.equal(normalizeWeights(w, 2), null, JSON.stringify(w));
+  });
+});
+
+test('parseTimestamp reads ISO strings, epoch milliseconds and epoch seconds', () => {
+  const ms = Date.parse('2026-03-01T12:00:00Z');
+  assert.equal(parseTimestamp('2026-03-01T12:00:00Z'), ms);
+  assert.equal(parseTimestamp(ms), ms);
+  assert.equal(parseTimestamp(String(ms)), ms);
+  assert.equal(parseTimestamp(ms / 1000), ms);
+  assert.equal(parseTimestamp(String(ms / 1000)), ms);
+  [undefined, null, ''].forEach(v => assert.equal(parseTimestamp(v), null));
+  assert.ok(Number.isNaN(parseTimestamp('next tuesday')));
+});
@@ -0,0 +1,50 @@
+process.env.DATABASE_URL = 'pg-mem';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getPool } = require('../lib/db');
+const { upsertShop } = require('../lib/auth');
+const handler = require('../api/config');
+
+const SHOP = 'config-api-test.myshopify.com';
+
+// Minimal stand-ins for the Vercel request (body already parsed) and response
+const request = (method, headers = {}, body = undefined) => ({ method, url: `/api/config?shop=${SHOP}`, headers, body });
+
+const call = (req) => new Promise((resolve) => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+    end(payload) { resolve({ status: this.statusCode, headers: this.headers, body: payload ? JSON.parse(payload) : null }); }
+  };
+  handler(req, res);
+});
+
+test.before(async () => {
+  await upsertShop(await getPool(), SHOP, 'storefront-key', 'admin-key');
+});
+
+test('PUT refuses the storefront API key', async () => {
+  const res = await call(request('PUT', { 'x-shop-id': SHOP, 'x-api-key': 'storefront-key' }, { tests: [] }));
+  assert.equal(res.status, 401);
+});
+
+test('PUT with the admin key saves a version that GET serves', async () => {
+  const saved = await call(request('PUT', { 'x-shop-id': SHOP, authorization: 'Bearer admin-key' }, { tests: [{ id: 'hero' }] }));
+  assert.equal(saved.status, 201);
+  assert.equal(saved.headers.etag, '"v1"');
+
+  const served = await call(request('GET'));
+  assert.equal(served.status, 200);
+  assert.deepEqual(served.body.config, { tests: [{ id: 'hero' }] });
+
+  const notModified = await call(request('GET', { 'if-none-match': '"v1"' }));
+  assert.equal(notModified.status, 304);
+});
+
+test('PUT with a stale If-Match is refused', async () => {
+  const res = await call(request('PUT', { 'x-shop-id': SHOP, authorization: 'Bearer admin-key', 'if-match': '"v0"' }, { tests: [] }));
+  assert.equal(res.status, 412);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateConfig, validateTest } = require('../public/config-schema');
+
+test('numeric test ids are accepted and turned into strings', () => {
+  const { config, problems } = validateConfig({ tests: [{ id: 42, location: 'product' }, { id: 'hero' }] });
+  assert.deepEqual(problems, []);
+  assert.deepEqual(config.tests.map(t => t.id), ['42', 'hero']);
+});
+
+test('a numeric id and its string form are the same test', () => {
+  const { config, problems } = validateConfig({ tests: [{ id: 7 }, { id: '7' }] });
+  assert.deepEqual(config.tests, [{ id: '7' }]);
+  assert.deepEqual(problems.map(p => [p.entry, p.test_id, p.action]), [['tests[1]', '7', 'dropped']]);
+});
+
+test('missing, blank and non-finite ids are dropped', () => {
+  [undefined, '', '  ', NaN, Infinity, { id: 1 }].forEach(id => {
+    assert.deepEqual(validateTest({ id }, 'tests[0]').map(e => e.path), ['tests[0].id']);
+  });
+});
+
+test('invalid tests are dropped on their own, invalid traffic is ignored', () => {
+  const { config, problems } = validateConfig({
+    tests: [{ id: 'a', variantsCount: 2, mode: 'v3' }, { id: 'b', variantsCount: 2, mode: 'v2' }],
+    traffic: { product: '50', homepage: 120, nowhere: 10 }
+  });
+  assert.deepEqual(config.tests.map(t => t.id), ['b']);
+  assert.deepEqual(config.traffic, { product: 50 });
+  assert.deepEqual(problems.map(p => [p.entry, p.action]), [
+    ['tests[0]', 'dropped'],
+    ['traffic.homepage', 'ignored'],
+    ['traffic.nowhere', 'ignored']
+  ]);
+});
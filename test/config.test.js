@@ -0,0 +1,89 @@
+process.env.DATABASE_URL = 'pg-mem';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getPool } = require('../lib/db');
+const { upsertShop } = require('../lib/auth');
+const { validateConfigDocument, getLatestConfig, saveConfig, etagFor } = require('../lib/config');
+
+const SHOP = 'config-test.myshopify.com';
+
+const hero = { id: 'hero', location: 'product', variantsCount: 2, weights: '50,50' };
+
+test('validateConfigDocument keeps the remote config fields', () => {
+  const { config, errors } = validateConfigDocument({ tests: [hero], traffic: { product: 50 }, salt: 's1' });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(config, { tests: [hero], traffic: { product: 50 }, salt: 's1' });
+});
+
+test('validateConfigDocument rejects theme fields and schema problems', () => {
+  const { config, errors } = validateConfigDocument({
+    enabled: true,
+    tests: [{ ...hero, mode: 'v3' }],
+    traffic: { product: 150 }
+  });
+  assert.equal(config, null);
+  assert.deepEqual(errors.map(e => e.path), ['enabled', 'tests[0].mode', 'traffic.product']);
+});
+
+test('validateConfigDocument refuses changes that could run script', () => {
+  const changes = [
+    { selector: '.hero', action: 'text', value: 'Free shipping' },
+    { selector: '.hero', action: 'html', value: '<img src=x onerror=alert(1)>' },
+    { selector: '.hero', action: 'attribute', attribute: 'onclick', value: 'alert(1)' },
+    { selector: 'a.cta', action: 'attribute', attribute: 'href', value: ' javascript:alert(1)' },
+    { selector: 'iframe', action: 'attribute', attribute: 'srcdoc', value: '<script>alert(1)</script>' },
+    { selector: 'a.cta', action: 'attribute', attribute: 'href', value: 'java\tscript:alert(1)' },
+    { selector: '.hero img', action: 'image', value: 'data:image/svg+xml,<svg onload=alert(1)>' }
+  ];
+  const { config, errors } = validateConfigDocument({ tests: [{ id: 'hero', variants: { 1: { changes } } }] });
+  assert.equal(config, null);
+  assert.deepEqual(errors.map(e => e.path), [
+    'tests[0].variants.1.changes[1].action',
+    'tests[0].variants.1.changes[2].attribute',
+    'tests[0].variants.1.changes[3].value',
+    'tests[0].variants.1.changes[4].attribute',
+    'tests[0].variants.1.changes[5].value',
+    'tests[0].variants.1.changes[6].value'
+  ]);
+});
+
+test('validateConfigDocument allows safe attributes and http(s) or relative URLs', () => {
+  const changes = [
+    { selector: 'a.cta', action: 'attribute', attribute: 'href', value: '/collections/sale?from=hero' },
+    { selector: 'a.cta', action: 'attribute', attribute: 'data-variant', value: 'b' },
+    { selector: '.hero img', action: 'attribute', attribute: 'srcset', value: 'https://cdn.shopify.com/a.jpg 1x, /b.jpg 2x' },
+    { selector: '.hero img', action: 'image', value: 'https://cdn.shopify.com/hero-b.jpg' },
+    { selector: '.badge', action: 'attribute', attribute: 'title', value: null }
+  ];
+  assert.deepEqual(validateConfigDocument({ tests: [{ id: 'hero', variants: { 1: { changes } } }] }).errors, []);
+});
+
+test('validateConfigDocument requires an object with a tests array', () => {
+  assert.deepEqual(validateConfigDocument([]).errors, [{ path: 'config', message: 'must be an object' }]);
+  assert.deepEqual(validateConfigDocument({ salt: 's1' }).errors.map(e => e.path), ['tests']);
+});
+
+test('saveConfig stores each save as the next version', async () => {
+  const db = await getPool();
+  await upsertShop(db, SHOP, 'config-test-key');
+  assert.equal(await getLatestConfig(db, SHOP), null);
+
+  const first = await saveConfig(SHOP, { tests: [hero] });
+  assert.equal(first.version, 1);
+  const second = await saveConfig(SHOP, { tests: [] }, { expectedVersion: 1 });
+  assert.equal(second.version, 2);
+
+  const latest = await getLatestConfig(db, SHOP);
+  assert.equal(latest.version, 2);
+  assert.deepEqual(latest.config, { tests: [] });
+  assert.equal(etagFor(latest.version), '"v2"');
+});
+
+test('saveConfig refuses a save based on an older version', async () => {
+  const db = await getPool();
+  const current = await getLatestConfig(db, SHOP);
+  assert.equal(await saveConfig(SHOP, { tests: [hero] }, { expectedVersion: current.version - 1 }), null);
+  assert.equal((await getLatestConfig(db, SHOP)).version, current.version);
+});
@@ -0,0 +1,65 @@
+process.env.DATABASE_URL = 'pg-mem';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getPool } = require('../lib/db');
+const { upsertShop } = require('../lib/auth');
+const { insertEvents } = require('../lib/events');
+const { validateBatch } = require('../lib/validate');
+
+const SHOP_A = 'shop-a.myshopify.com';
+const SHOP_B = 'shop-b.myshopify.com';
+
+const batch = (...ids) => validateBatch(ids.map(id => ({
+  type: 'test',
+  data: {
+    event_id: id,
+    session_id: 'session-1',
+    user_id: 'user-1',
+    event_name: 'page_view',
+    event_type: 'page',
+    client_timestamp: new Date().toISOString(),
+    event_data: {
+      test_assignments: { hero: { assigned_variant: '1', allocation: { 0: 0.5, 1: 0.5 } } }
+    }
+  }
+}))).events;
+
+test.before(async () => {
+  const db = await getPool();
+  await upsertShop(db, SHOP_A, 'key-a');
+  await upsertShop(db, SHOP_B, 'key-b');
+});
+
+test('insertEvents stores events with their test assignments', async () => {
+  assert.equal(await insertEvents(SHOP_A, 'batch-1', batch('e1', 'e2')), 2);
+
+  const db = await getPool();
+  const { rows } = await db.query(
+    `SELECT event_id, test_id, assigned_variant, allocation FROM event_test_assignments
+      WHERE shop_domain = $1 ORDER BY event_id`,
+    [SHOP_A]
+  );
+  assert.deepEqual(rows.map(r => [r.event_id, r.test_id, r.assigned_variant]), [['e1', 'hero', '1'], ['e2', 'hero', '1']]);
+  assert.deepEqual(rows[0].allocation, { 0: 0.5, 1: 0.5 });
+});
+
+test('insertEvents counts resent and repeated events once', async () => {
+  assert.equal(await insertEvents(SHOP_A, 'batch-2', batch('e1', 'e3', 'e3')), 1);
+
+  const db = await getPool();
+  const { rows } = await db.query('SELECT COUNT(*) AS n FROM events WHERE shop_domain = $1', [SHOP_A]);
+  assert.equal(Number(rows[0].n), 3);
+});
+
+test('insertEvents deduplicates per shop', async () => {
+  // Another shop sending the same ids stores its own events
+  assert.equal(await insertEvents(SHOP_B, 'batch-3', batch('e1', 'e2')), 2);
+
+  const db = await getPool();
+  const { rows } = await db.query(
+    'SELECT shop_domain, COUNT(*) AS n FROM event_test_assignments GROUP BY shop_domain ORDER BY shop_domain'
+  );
+  assert.deepEqual(rows.map(r => [r.shop_domain, Number(r.n)]), [[SHOP_A, 3], [SHOP_B, 2]]);
+});
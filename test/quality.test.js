@@ -0,0 +1,103 @@
+process.env.DATABASE_URL = 'pg-mem';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getPool } = require('../lib/db');
+const { upsertShop } = require('../lib/auth');
+const { insertEvents } = require('../lib/events');
+const { validateBatch } = require('../lib/validate');
+const { checkTestQuality } = require('../lib/quality');
+
+const SHOP = 'quality-test.myshopify.com';
+const HERO = { hero: { assigned_variant: '1', allocation: { 0: 0.5, 1: 0.5 } } };
+
+let sequence = 0;
+const HOUR = 60 * 60 * 1000;
+
+const event = (userId, eventName, testAssignments, eventData = {}, at = new Date()) => ({
+  type: 'test',
+  data: {
+    event_id: `quality-${sequence++}`,
+    session_id: `session-${userId}`,
+    user_id: userId,
+    event_name: eventName,
+    event_type: 'system',
+    client_timestamp: at.toISOString(),
+    event_data: { test_assignments: testAssignments, ...eventData }
+  }
+});
+
+test.before(async () => {
+  const db = await getPool();
+  await upsertShop(db, SHOP, 'quality-key');
+  await insertEvents(SHOP, 'batch-1', validateBatch([
+    event('u1', 'page_view', HERO),
+    event('u1', 'variant_applied', HERO, { test_id: 'hero' }),
+    // Lost its test_assignments entirely
+    event('u1', 'add_to_cart', {}),
+    // Only ever seen about the test, never with its assignment
+    event('u2', 'variant_applied', {}, { test_id: 'hero' }),
+    // Not in the test
+    event('u3', 'page_view', {}),
+    event('u4', 'test_impression', { hero: { assigned_variant: '0' } }, { test_id: 'hero' })
+  ]).events);
+});
+
+test('impressions count applied variants and redirect impressions', async () => {
+  const { impressions } = await checkTestQuality(await getPool(), { shop: SHOP, testId: 'hero' });
+  assert.equal(impressions.last_24h, 3);
+  assert.equal(impressions.alert, false);
+});
+
+test('missing assignments include events without test_assignments', async () => {
+  const { missing_assignments: missing } = await checkTestQuality(await getPool(), { shop: SHOP, testId: 'hero' });
+  assert.equal(missing.events, 5);
+  assert.equal(missing.missing, 2);
+  assert.equal(missing.share, 0.4);
+});
+
+test('sample ratio only counts assignments that carry an allocation', async () => {
+  const { srm } = await checkTestQuality(await getPool(), { shop: SHOP, testId: 'hero' });
+  assert.equal(srm.users, 1);
+  assert.equal(srm.alert, false);
+});
+
+test('missing assignments ignore events before the user was in the test and after it ended', async () => {
+  const promo = { promo: { assigned_variant: '1' } };
+  const ago = (hours) => new Date(Date.now() - hours * HOUR);
+  await insertEvents(SHOP, 'batch-2', validateBatch([
+    // Not eligible yet (e.g. before an audience rule matched)
+    event('u5', 'page_view', {}, {}, ago(5)),
+    event('u5', 'page_view', promo, {}, ago(4)),
+    event('u5', 'add_to_cart', {}, {}, ago(3)),
+    event('u5', 'page_view', promo, {}, ago(2)),
+    // The test has ended
+    event('u5', 'page_view', {}, {}, ago(1))
+  ]).events);
+
+  const { missing_assignments: missing } = await checkTestQuality(await getPool(), { shop: SHOP, testId: 'promo' });
+  assert.equal(missing.events, 3);
+  assert.equal(missing.missing, 1);
+});
+
+test('impression drops are not reported for tests no longer assigned', async () => {
+  const db = await getPool();
+  const legacy = { legacy: { assigned_variant: '1' } };
+  const applied = Array.from({ length: 150 }, (_, i) => event(`l${i}`, 'variant_applied', legacy, { test_id: 'legacy' }));
+  await insertEvents(SHOP, 'batch-3', validateBatch(applied).events);
+  await db.query(
+    'UPDATE events SET received_at = $1 WHERE shop_domain = $2 AND test_id = $3',
+    [new Date(Date.now() - 3 * 24 * HOUR).toISOString(), SHOP, 'legacy']
+  );
+
+  const ended = await checkTestQuality(db, { shop: SHOP, testId: 'legacy' });
+  assert.equal(ended.impressions.running, false);
+  assert.equal(ended.impressions.alert, false);
+
+  // Still carried by today's traffic, but nothing applied: a real drop
+  await insertEvents(SHOP, 'batch-4', validateBatch([event('l0', 'page_view', legacy)]).events);
+  const running = await checkTestQuality(db, { shop: SHOP, testId: 'legacy' });
+  assert.equal(running.impressions.running, true);
+  assert.equal(running.impressions.alert, true);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const stats = require('../lib/stats');
+
+const close = (actual, expected, tolerance = 1e-3) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+};
+
+test('normal distribution matches reference values', () => {
+  close(stats.normalCdf(0), 0.5, 1e-9);
+  close(stats.normalCdf(1.96), 0.975);
+  close(stats.normalQuantile(0.975), 1.959964, 1e-4);
+  close(stats.normalQuantile(0.5), 0, 1e-9);
+});
+
+test('t and chi-square tails match reference values', () => {
+  close(stats.studentTTwoSidedP(2.228, 10), 0.05);
+  close(stats.chiSquareP(3.841, 1), 0.05);
+  close(stats.chiSquareP(5.991, 2), 0.05);
+  assert.equal(stats.chiSquareP(NaN, 1), null);
+});
+
+test('compareProportions reports no difference for equal rates', () => {
+  const result = stats.compareProportions({ conversions: 100, users: 1000 }, { conversions: 100, users: 1000 });
+  assert.equal(result.diff, 0);
+  assert.equal(result.p_value, 1);
+  assert.equal(result.significant, false);
+  close(result.probability_to_beat_control, 0.5, 0.01);
+});
+
+test('compareProportions runs a pooled two-proportion z-test', () => {
+  const result = stats.compareProportions({ conversions: 120, users: 1000 }, { conversions: 100, users: 1000 });
+  close(result.diff, 0.02, 1e-9);
+  close(result.lift, 0.2, 1e-9);
+  close(result.z, 1.429, 1e-3);
+  close(result.p_value, 0.153, 1e-3);
+  assert.equal(result.significant, false);
+  assert.ok(result.diff_ci[0] < 0 && result.diff_ci[1] > 0.02);
+  assert.equal(stats.compareProportions({ conversions: 0, users: 0 }, { conversions: 1, users: 10 }), null);
+});
+
+test('compareMeans runs a Welch t-test on per-user values', () => {
+  // treatment 2, 4, 6 (mean 4); control 1, 2, 3 (mean 2)
+  const treatment = { n: 3, sum: 12, sumSquares: 56 };
+  const control = { n: 3, sum: 6, sumSquares: 14 };
+  const result = stats.compareMeans(treatment, control);
+  close(result.diff, 2, 1e-9);
+  close(result.lift, 1, 1e-9);
+  close(result.t, 1.5492, 1e-3);
+  close(result.df, 2.9, 0.05);
+  assert.equal(stats.compareMeans({ n: 1, sum: 1, sumSquares: 1 }, control), null);
+});
+
+test('chiSquareGoodnessOfFit flags a sample ratio mismatch', () => {
+  const even = stats.chiSquareGoodnessOfFit({ 0: 500, 1: 500 }, { 0: 0.5, 1: 0.5 });
+  assert.equal(even.statistic, 0);
+  close(even.p_value, 1, 1e-9);
+
+  const skewed = stats.chiSquareGoodnessOfFit({ 0: 600, 1: 400 }, { 0: 0.5, 1: 0.5 });
+  assert.equal(skewed.statistic, 40);
+  assert.ok(skewed.p_value < 1e-6);
+
+  // Shares are normalized over the variants listed
+  const weighted = stats.chiSquareGoodnessOfFit({ 0: 250, 1: 750 }, { 0: 0.1, 1: 0.3 });
+  assert.equal(weighted.statistic, 0);
+  assert.equal(stats.chiSquareGoodnessOfFit({ 0: 10 }, { 0: 1 }), null);
+});
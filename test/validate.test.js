@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateBatch, validateEvent, MAX_BATCH } = require('../lib/validate');
+
+const event = (data = {}, eventData = {}) => ({
+  type: 'test',
+  data: {
+    event_id: 'evt-1',
+    schema_version: 1,
+    session_id: 'session-1',
+    user_id: 'user-1',
+    event_name: 'page_view',
+    event_type: 'page',
+    client_timestamp: '2026-01-02T03:04:05.000Z',
+    timezone_offset: -60,
+    event_data: {
+      path: '/products/board',
+      template: 'product',
+      device_class: 'mobile',
+      test_assignments: {
+        hero: { assigned_variant: '1', tested_variant: '1', mode: 'probabilistic', group: 'product', allocation: { 0: 0.5, 1: 0.5 } }
+      },
+      ...eventData
+    },
+    ...data
+  }
+});
+
+test('validateEvent normalizes an event into table columns', () => {
+  const { errors, event: row } = validateEvent(event({}, { goal: 'add_to_cart', value: '19.90', currency: 'EUR', config_version: 3 }));
+  assert.deepEqual(errors, []);
+  assert.equal(row.event_id, 'evt-1');
+  assert.equal(row.client_timestamp, '2026-01-02T03:04:05.000Z');
+  assert.equal(row.goal_name, 'add_to_cart');
+  assert.equal(row.value, 19.9);
+  assert.equal(row.config_version, 3);
+  assert.equal(row.assignment_count, 1);
+  assert.deepEqual(row.test_assignments, [{
+    test_id: 'hero',
+    assigned_variant: '1',
+    tested_variant: '1',
+    assignment_mode: 'probabilistic',
+    page_group: 'product',
+    layer: null,
+    allocation: { 0: 0.5, 1: 0.5 }
+  }]);
+});
+
+test('validateEvent gives events without an id a new one', () => {
+  const { event: row } = validateEvent(event({ event_id: undefined }));
+  assert.match(row.event_id, /^[0-9a-f-]{36}$/);
+});
+
+test('validateEvent drops malformed allocations and assignments', () => {
+  const { event: row } = validateEvent(event({}, {
+    test_assignments: {
+      hero: { assigned_variant: 0, allocation: { 0: 2 } },
+      broken: { tested_variant: '1' }
+    }
+  }));
+  assert.equal(row.assignment_count, 1);
+  assert.equal(row.test_assignments[0].assigned_variant, '0');
+  assert.equal(row.test_assignments[0].allocation, null);
+});
+
+test('validateEvent reports every missing or mistyped field', () => {
+  const { errors } = validateEvent({ type: 'test', data: { client_timestamp: 'yesterday', event_data: { test_assignments: [] } } });
+  assert.deepEqual(errors, [
+    'data.user_id is required',
+    'data.session_id is required',
+    'data.event_name is required',
+    'data.event_type is required',
+    'data.client_timestamp must be an ISO date',
+    'data.event_data.test_assignments must be an object'
+  ]);
+  assert.deepEqual(validateEvent(null).errors, ['event must be an object']);
+});
+
+test('validateEvent rejects values the value column cannot hold', () => {
+  assert.deepEqual(validateEvent(event({}, { value: 1e12 })).errors, ['data.event_data.value must be less than 1000000000000 in absolute value']);
+  assert.equal(validateEvent(event({}, { value: '-999999999999.996' })).errors.length, 1);
+  assert.equal(validateEvent(event({}, { value: 999999999999.99 })).event.value, 999999999999.99);
+});
+
+test('validateBatch rejects bodies that are not a batch', () => {
+  assert.deepEqual(validateBatch({}).errors, [{ index: null, errors: ['body must be a JSON array of events'] }]);
+  assert.equal(validateBatch([]).errors.length, 1);
+  assert.equal(validateBatch(Array(MAX_BATCH + 1).fill(event())).errors.length, 1);
+});
+
+test('validateBatch reports invalid events by index', () => {
+  const { events, errors } = validateBatch([event(), event({ user_id: '' }), event({ event_id: 'evt-2' })]);
+  assert.equal(events.length, 2);
+  assert.deepEqual(errors, [{ index: 1, errors: ['data.user_id is required'] }]);
+});